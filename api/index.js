@@ -8,7 +8,8 @@ const app = express();
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -63,9 +64,13 @@ try {
   if (firebaseAdmin.isConfigured()) {
     const firebaseAuthRoutes = require('../routes/firebase-auth');
     const firebaseFirestoreRoutes = require('../routes/firebase-firestore');
+    const firebaseStorageRoutes = require('../routes/firebase-storage');
+    const firebaseRealtimeDbRoutes = require('../routes/firebase-realtime-db');
     
     app.use('/api/firebase/auth', firebaseAuthRoutes);
     app.use('/api/firebase/firestore', firebaseFirestoreRoutes);
+    app.use('/api/firebase/storage', firebaseStorageRoutes);
+    app.use('/api/firebase/realtime', firebaseRealtimeDbRoutes);
   } else {
     app.all('/api/firebase/*', (req, res) => {
       res.status(503).json({
@@ -0,0 +1,87 @@
+const retentionConfig = require('./firestore-retention');
+
+// Collections exposed by the generic Firestore API. Anything not listed here (health checks,
+// search index, version history) is only reachable from server code.
+// Keys may be nested paths with wildcard ids, e.g. 'incidents/{incidentId}/updates'.
+// Deleting a document also handles what depends on it:
+//   references: { field: { collection, onDelete } } for fields holding another document's id
+//   onParentDelete for documents in a subcollection of the deleted document
+// onDelete is 'cascade' (delete dependents the same way), 'restrict' (refuse while any exist)
+// or 'nullify' (set the referencing field to null). Trash purges follow the same rules and leave
+// restricted documents in the trash.
+module.exports = {
+  defaults: {
+    orderBy: { field: 'createdAt', direction: 'desc' },
+    searchFields: {
+      name: 3,
+      title: 3,
+      description: 1
+    },
+    softDelete: true,
+    maxDocumentBytes: 1024 * 1024,
+    retentionDays: retentionConfig.defaultRetentionDays
+  },
+
+  collections: {
+    shelters: {
+      orderBy: { field: 'name', direction: 'asc' },
+      searchFields: {
+        name: 3,
+        address: 2,
+        city: 2,
+        description: 1
+      },
+      maxDocumentBytes: 64 * 1024
+    },
+
+    'shelters/{shelterId}/occupants': {
+      searchFields: false,
+      retentionDays: 7
+    },
+
+    reports: {
+      searchFields: {
+        title: 3,
+        location: 2,
+        description: 1,
+        tags: 2
+      },
+      maxDocumentBytes: 256 * 1024,
+      retentionDays: 90,
+      references: {
+        incidentId: { collection: 'incidents', onDelete: 'nullify' }
+      }
+    },
+
+    incidents: {
+      maxDocumentBytes: 256 * 1024,
+      retentionDays: 90
+    },
+
+    'incidents/{incidentId}/updates': {
+      orderBy: { field: 'createdAt', direction: 'asc' },
+      searchFields: false,
+      softDelete: false,
+      onParentDelete: 'cascade'
+    },
+
+    resources: {},
+
+    assignments: {
+      searchFields: false,
+      references: {
+        incidentId: { collection: 'incidents', onDelete: 'cascade' },
+        resourceId: { collection: 'resources', onDelete: 'restrict' }
+      }
+    },
+
+    attachments: {
+      searchFields: false,
+      softDelete: false,
+      maxDocumentBytes: 16 * 1024,
+      references: {
+        incidentId: { collection: 'incidents', onDelete: 'cascade' }
+      }
+    }
+  }
+};
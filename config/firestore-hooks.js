@@ -0,0 +1,58 @@
+// Collection hooks registered at startup. Each event takes a list of handlers run in order.
+//   beforeCreate / beforeUpdate ({ collection, id, data, previous, userId, reject }) -> data to write
+//   afterWrite ({ collection, id, operation, data, previous, userId })
+//   afterDelete ({ collection, id, previous, hardDelete, userId })
+// Call reject(errors, message) inside a before hook to fail the write with a validation error.
+
+const INCIDENT_TRANSITIONS = {
+  reported: ['active', 'closed'],
+  active: ['contained', 'resolved'],
+  contained: ['active', 'resolved'],
+  resolved: ['active', 'closed'],
+  closed: []
+};
+
+const normalizeName = ({ data }) => (
+  typeof data.name === 'string'
+    ? { ...data, nameNormalized: data.name.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase() }
+    : data
+);
+
+// Open shelters flip between open and full as occupancy changes; closed shelters stay closed
+const deriveShelterStatus = ({ data, previous }) => {
+  if (data.occupancy === undefined && data.capacity === undefined) return data;
+
+  const { occupancy, capacity, status } = { ...previous, ...data };
+  if (status === 'closed' || occupancy === undefined || capacity === undefined) return data;
+
+  return { ...data, status: occupancy >= capacity ? 'full' : 'open' };
+};
+
+// previous is null when an update targets a missing document; that write fails on its own
+const checkIncidentTransition = ({ data, previous, reject }) => {
+  const from = previous?.status;
+  const to = data.status;
+
+  if (to !== undefined && from !== undefined && to !== from && !(INCIDENT_TRANSITIONS[from] || []).includes(to)) {
+    reject([{
+      field: 'status',
+      message: `Incident status cannot change from '${from}' to '${to}'`,
+      value: to,
+      type: 'status.transition'
+    }], 'Invalid incident status transition');
+  }
+
+  return data;
+};
+
+module.exports = {
+  shelters: {
+    beforeCreate: [normalizeName, deriveShelterStatus],
+    beforeUpdate: [normalizeName, deriveShelterStatus]
+  },
+
+  incidents: {
+    beforeCreate: [({ data }) => ({ status: 'reported', ...data })],
+    beforeUpdate: [checkIncidentTransition]
+  }
+};
@@ -0,0 +1,10 @@
+const parseDays = (value, fallback) => {
+  const days = Number.parseInt(value, 10);
+  return Number.isFinite(days) && days > 0 ? days : fallback;
+};
+
+// Per-collection retention lives in config/firestore-collections.js
+module.exports = {
+  defaultRetentionDays: parseDays(process.env.FIRESTORE_TRASH_RETENTION_DAYS, 30),
+  purgeBatchSize: 300
+};
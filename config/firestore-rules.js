@@ -0,0 +1,43 @@
+const fs = require('fs');
+
+// Each action lists alternative rules; a request is allowed when any one of them matches.
+// Conditions inside a rule must all hold:
+//   public: true                 anonymous callers allowed (otherwise a signed-in user is required)
+//   roles: ['admin']             caller holds one of the role claims
+//   owner: 'createdBy'           field on the document equals the caller's uid
+//   where: [{ field, operator, value }]  predicates on the stored document
+//   data:  [{ field, operator, value }]  predicates on the incoming write payload
+// Collection keys may be nested paths with wildcard ids, e.g. 'incidents/{incidentId}/updates'.
+const defaults = {
+  defaultRules: {
+    read: [{ authenticated: true }],
+    create: [{ authenticated: true }],
+    update: [{ roles: ['admin', 'moderator'] }, { owner: 'createdBy' }],
+    delete: [{ roles: ['admin'] }, { owner: 'createdBy' }]
+  },
+
+  collections: {
+    shelters: {
+      read: [{ public: true }],
+      create: [{ roles: ['admin', 'moderator'] }],
+      update: [{ roles: ['admin', 'moderator'] }],
+      delete: [{ roles: ['admin'] }]
+    },
+    reports: {
+      create: [
+        { roles: ['admin', 'moderator'] },
+        { authenticated: true, data: [{ field: 'severity', operator: 'not-in', value: ['critical'] }] }
+      ]
+    },
+    // Distributed counters: the first increment of an unknown name creates it
+    _counters: {
+      read: [{ authenticated: true }],
+      create: [{ roles: ['admin', 'moderator'] }],
+      update: [{ roles: ['admin', 'moderator'] }, { owner: 'createdBy' }]
+    }
+  }
+};
+
+module.exports = process.env.FIRESTORE_RULES_FILE
+  ? JSON.parse(fs.readFileSync(process.env.FIRESTORE_RULES_FILE, 'utf8'))
+  : defaults;
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { admin } = require('./firebase-admin');
+
+// Typed {"$geopoint": ...} values arrive already decoded, so GeoPoints are accepted as well
+const geoPoint = Joi.object().instance(admin.firestore.GeoPoint);
+
+const location = Joi.alternatives().conditional(geoPoint, {
+  then: geoPoint,
+  otherwise: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required()
+  })
+});
+
+module.exports = {
+  collections: {
+    shelters: Joi.object({
+      name: Joi.string().trim().min(1).max(200).required(),
+      address: Joi.string().max(500).optional(),
+      city: Joi.string().max(100).optional(),
+      description: Joi.string().max(5000).allow('').optional(),
+      capacity: Joi.number().integer().min(0).optional(),
+      occupancy: Joi.number().integer().min(0).optional(),
+      status: Joi.string().valid('open', 'full', 'closed').default('open'),
+      location: location.optional(),
+      contactPhone: Joi.string().pattern(/^\+[1-9]\d{1,14}$/).optional()
+    }).unknown(true),
+
+    reports: Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      description: Joi.string().max(10000).allow('').optional(),
+      severity: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium'),
+      location: location.optional(),
+      tags: Joi.array().items(Joi.string().max(50)).max(20).optional()
+    }).unknown(true)
+  }
+};
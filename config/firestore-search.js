@@ -0,0 +1,9 @@
+// Searchable fields per collection live in config/firestore-collections.js
+module.exports = {
+  indexCollection: process.env.FIRESTORE_SEARCH_INDEX_COLLECTION || '_searchIndex',
+
+  minGram: 2,
+  maxGram: 15,
+  maxQueryTokens: 10,
+  candidateLimit: 500
+};
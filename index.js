@@ -3,6 +3,9 @@ const firestoreService = require('./services/firebase-firestore');
 const authService = require('./services/firebase-auth');
 const storageService = require('./services/firebase-storage');
 const realtimeDbService = require('./services/firebase-realtime-db');
+const searchIndexService = require('./services/firebase-search');
+const schemaRegistry = require('./services/firebase-schema-registry');
+const rulesEngine = require('./services/firebase-rules');
 
 const Logger = require('./utils/firebase-logger');
 const { FirebaseResponse, FirebaseResponses } = require('./utils/firebase-response');
@@ -12,6 +15,8 @@ const firebaseValidation = require('./middleware/firebase-validation');
 
 const authRoutes = require('./routes/firebase-auth');
 const firestoreRoutes = require('./routes/firebase-firestore');
+const storageRoutes = require('./routes/firebase-storage');
+const realtimeDbRoutes = require('./routes/firebase-realtime-db');
 
 class FirebaseAdmin {
   constructor() {
@@ -138,7 +143,10 @@ module.exports = {
     firestore: firestoreService,
     auth: authService,
     storage: storageService,
-    realtimeDb: realtimeDbService
+    realtimeDb: realtimeDbService,
+    search: searchIndexService,
+    schemas: schemaRegistry,
+    rules: rulesEngine
   },
   firestore: firestoreService,
   auth: authService,
@@ -153,7 +161,9 @@ module.exports = {
   },
   routes: {
     auth: authRoutes,
-    firestore: firestoreRoutes
+    firestore: firestoreRoutes,
+    storage: storageRoutes,
+    realtimeDb: realtimeDbRoutes
   },
   async initialize() {
     return await firebaseAdmin.initialize();
@@ -170,7 +180,11 @@ module.exports.firestoreService = firestoreService;
 module.exports.authService = authService;
 module.exports.storageService = storageService;
 module.exports.realtimeDbService = realtimeDbService;
+module.exports.searchIndexService = searchIndexService;
+module.exports.schemaRegistry = schemaRegistry;
+module.exports.rulesEngine = rulesEngine;
 
 module.exports.verifyFirebaseToken = firebaseAuth.verifyFirebaseToken;
 module.exports.requireRole = firebaseAuth.requireRole;
+module.exports.authorizeFirestore = firebaseAuth.authorizeFirestore;
 module.exports.validateFirebase = firebaseValidation.validateFirebase;
\ No newline at end of file
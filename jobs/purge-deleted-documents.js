@@ -0,0 +1,30 @@
+const firebase = require('../index');
+const Logger = require('../utils/firebase-logger');
+
+const run = async ({ dryRun = false } = {}) => {
+  await firebase.initialize();
+
+  const result = await firebase.firestoreService.purgeAllDeletedDocuments({ dryRun });
+  if (!result.success) {
+    throw new Error(result.error.message);
+  }
+
+  Logger.info('Trash purge job finished', {
+    purged: result.data.purged,
+    collections: result.data.collections,
+    dryRun
+  });
+
+  return result;
+};
+
+if (require.main === module) {
+  run({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      Logger.error('Trash purge job failed', { error: error.message });
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -1,4 +1,5 @@
 const authService = require('../services/firebase-auth');
+const rulesEngine = require('../services/firebase-rules');
 const Logger = require('../utils/firebase-logger');
 const { FirebaseResponse } = require('../utils/firebase-response');
 
@@ -336,6 +337,99 @@ const requirePermission = (permission) => {
   };
 };
 
+// Evaluates the Firestore rules for one action on the routed document, or for the checks
+// returned by a function of the request ({ action, collection, id, data }) on multi-document routes
+const authorizeFirestore = (actionOrChecks) => {
+  return async (req, res, next) => {
+    try {
+      const checks = typeof actionOrChecks === 'function'
+        ? actionOrChecks(req)
+        : [{
+          action: actionOrChecks,
+          collection: req.params.collection,
+          id: req.params.id,
+          data: req.body?.data
+        }];
+
+      const result = await rulesEngine.authorize(req.user, checks, {
+        roles: req.userRoles && [...req.userRoles, req.userRole].filter(Boolean)
+      });
+
+      if (!result.allowed) {
+        const [{ action, collection, id }] = result.denied;
+        const target = id ? `${collection}/${id}` : collection;
+
+        if (!req.user) {
+          const response = FirebaseResponse.unauthorized(`Authentication required to ${action} '${target}'`);
+          return res.status(401).json(response);
+        }
+
+        const response = FirebaseResponse.forbidden(`Rules do not allow '${action}' on '${target}'`, 'RULES_DENIED');
+        return res.status(403).json(response);
+      }
+
+      next();
+
+    } catch (error) {
+      Logger.failure('authorizeFirestore', error, {
+        uid: req.user?.uid,
+        endpoint: req.originalUrl
+      });
+
+      const response = FirebaseResponse.error(error, 'rules evaluation');
+      return res.status(500).json(response);
+    }
+  };
+};
+
+// Storage objects belong to the user whose folder holds them (users/{uid}/...); admins may
+// reach any path. paths(req) returns every object path or list prefix the route touches
+const authorizeStorage = (paths) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        const response = FirebaseResponse.unauthorized('Authentication required for Storage access');
+        return res.status(401).json(response);
+      }
+
+      const roles = await rulesEngine.resolveRoles(
+        req.user,
+        req.userRoles && [...req.userRoles, req.userRole].filter(Boolean)
+      );
+      req.storageScope = roles.includes('admin') ? null : `users/${req.user.uid}/`;
+
+      const outside = req.storageScope
+        ? paths(req).find(path => !path.startsWith(req.storageScope))
+        : undefined;
+
+      if (outside !== undefined) {
+        Logger.auth('storageScopeDenied', {
+          uid: req.user.uid,
+          path: outside,
+          endpoint: req.originalUrl
+        });
+
+        const response = FirebaseResponse.forbidden(
+          `Storage paths must be inside '${req.storageScope}'`,
+          'STORAGE_SCOPE_REQUIRED'
+        );
+        return res.status(403).json(response);
+      }
+
+      next();
+
+    } catch (error) {
+      Logger.failure('authorizeStorage', error, {
+        uid: req.user?.uid,
+        endpoint: req.originalUrl
+      });
+
+      const response = FirebaseResponse.error(error, 'storage authorization');
+      return res.status(500).json(response);
+    }
+  };
+};
+
 const addFirebaseContext = (req, res, next) => {
   req.firebaseContext = {
     requestId: Math.random().toString(36).substring(2, 15),
@@ -389,6 +483,8 @@ module.exports = {
   requirePermission,
   requireAdmin,
   requireModerator,
+  authorizeFirestore,
+  authorizeStorage,
   addFirebaseContext,
   logFirebaseOperation
 };
@@ -1,6 +1,13 @@
 const Joi = require('joi');
 const Logger = require('../utils/firebase-logger');
 const { FirebaseResponse } = require('../utils/firebase-response');
+const FirebaseSerializer = require('../utils/firebase-serializer');
+const FirebasePatch = require('../utils/firebase-patch');
+const collectionRegistry = require('../services/firebase-collection-registry');
+
+const collectionPath = Joi.string().min(1).max(1500).pattern(/^[a-zA-Z0-9_-]+(\/[^/]+\/[a-zA-Z0-9_-]+)*$/).messages({
+  'string.pattern.base': 'Collection path must alternate collection names and document IDs, starting and ending with a collection'
+});
 
 const FirebaseSchemas = {
   firebaseUid: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9]+$/).messages({
@@ -11,14 +18,49 @@ const FirebaseSchemas = {
     'string.pattern.base': 'Collection name must contain only alphanumeric characters, hyphens, and underscores'
   }),
 
-  documentId: Joi.string().min(1).max(1500).messages({
-    'string.max': 'Document ID must be less than 1500 characters'
+  collectionPath,
+
+  exposedCollection: collectionPath
+    .custom((value, helpers) => (collectionRegistry.has(value) ? value : helpers.error('collection.notExposed')))
+    .messages({
+      'collection.notExposed': "Collection '{#value}' is not exposed by this API"
+    }),
+
+  exposedCollectionGroup: Joi.string().min(1).max(100).pattern(/^[a-zA-Z0-9_-]+$/)
+    .custom((value, helpers) => (
+      collectionRegistry.has(value, { collectionGroup: true }) ? value : helpers.error('collection.notExposed')
+    ))
+    .messages({
+      'string.pattern.base': 'Collection name must contain only alphanumeric characters, hyphens, and underscores',
+      'collection.notExposed': "Collection group '{#value}' is not exposed by this API"
+    }),
+
+  documentId: Joi.string().min(1).max(1500).pattern(/^[^/]+$/).messages({
+    'string.max': 'Document ID must be less than 1500 characters',
+    'string.pattern.base': 'Document ID cannot contain "/"'
+  }),
+
+  fieldPath: Joi.string().min(1).max(1500),
+
+  fieldList: Joi.string().max(4096).pattern(/^[^,]+(,[^,]+)*$/)
+    .custom(value => [...new Set(value.split(',').map(field => field.trim()).filter(Boolean))], 'field list')
+    .messages({
+      'string.pattern.base': 'Field list must be a comma-separated list of field paths'
+    }),
+
+  cursor: Joi.string().max(4096).pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/).messages({
+    'string.pattern.base': 'Cursor must be a token returned by a previous query'
   }),
 
   firebasePath: Joi.string().min(1).max(768).pattern(/^[^.#$[\]]*$/).messages({
     'string.pattern.base': 'Firebase path cannot contain ".", "#", "$", "[", or "]"'
   }),
 
+  storagePath: Joi.string().min(1).max(1024).pattern(/^(?!\/)(?!.*\.\.\/).+$/).messages({
+    'string.max': 'Storage path must be less than 1024 characters',
+    'string.pattern.base': 'Storage path cannot start with "/" or contain "../"'
+  }),
+
   email: Joi.string().email().lowercase().messages({
     'string.email': 'Please provide a valid email address'
   }),
@@ -57,6 +99,18 @@ const FirebaseSchemas = {
     })
   ).max(30),
 
+  geoPoint: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required()
+  }),
+
+  geoBounds: Joi.object({
+    north: Joi.number().min(-90).max(90).required(),
+    south: Joi.number().min(-90).max(Joi.ref('north')).required(),
+    east: Joi.number().min(-180).max(180).required(),
+    west: Joi.number().min(-180).max(180).required()
+  }),
+
   customClaims: Joi.object().pattern(
     Joi.string(),
     Joi.alternatives().try(
@@ -81,6 +135,15 @@ const FirebaseSchemas = {
   )
 };
 
+const setRequestQuery = (req, value) => {
+  Object.defineProperty(req, 'query', {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true
+  });
+};
+
 const validateFirebase = (schema, source = 'body') => {
   return (req, res, next) => {
     const startTime = Date.now();
@@ -124,7 +187,7 @@ const validateFirebase = (schema, source = 'body') => {
 
       if (source === 'body') req.body = value;
       else if (source === 'params') req.params = value;
-      else if (source === 'query') req.query = value;
+      else if (source === 'query') setRequestQuery(req, value);
       else if (source === 'headers') req.headers = value;
       else req[source] = value;
 
@@ -189,7 +252,8 @@ const validateUserUpdate = validateFirebase(Joi.object({
 }));
 
 const validateRealtimeDbPath = (req, res, next) => {
-  const { path } = req.params;
+  const segments = req.params.path;
+  const path = Array.isArray(segments) ? segments.join('/') : segments;
   
   const { error } = FirebaseSchemas.firebasePath.validate(path);
   
@@ -210,19 +274,148 @@ const validateRealtimeDbPath = (req, res, next) => {
     return res.status(400).json(response);
   }
   
+  req.params.path = path;
   next();
 };
 
 const validateFileUpload = validateFirebase(Joi.object({
-  remotePath: Joi.string().required().max(1024).messages({
-    'string.max': 'Remote path must be less than 1024 characters'
-  }),
+  remotePath: FirebaseSchemas.storagePath.required(),
   options: FirebaseSchemas.uploadOptions.optional()
 }));
 
+const validateStoragePath = (req, res, next) => {
+  const segments = req.params.path;
+  const remotePath = Array.isArray(segments) ? segments.join('/') : segments;
+
+  const { error } = FirebaseSchemas.storagePath.validate(remotePath);
+
+  if (error) {
+    Logger.warn('Invalid Storage path', {
+      path: remotePath,
+      error: error.message,
+      endpoint: req.originalUrl,
+      userId: req.user?.uid
+    });
+
+    const response = FirebaseResponse.validation([{
+      field: 'path',
+      message: error.message,
+      value: remotePath
+    }]);
+
+    return res.status(400).json(response);
+  }
+
+  req.params.path = remotePath;
+  next();
+};
+
+// Splits a /documents/*path wildcard into collection path and document ID. Routes that
+// only apply to the other kind of path are skipped so the next matching route can run.
+const resolveFirestorePath = (target) => {
+  return (req, res, next) => {
+    const segments = req.params.path;
+    if (segments === undefined) return next();
+
+    const isDocument = segments.length % 2 === 0;
+    if ((target === 'document') !== isDocument) return next('route');
+
+    // Action suffixes such as /array/:field/add take precedence over collection paths
+    if (target === 'collection' && segments.length >= 5 &&
+      segments[segments.length - 3] === 'array' && ['add', 'remove'].includes(segments[segments.length - 1])) {
+      return next('route');
+    }
+
+    const collection = (isDocument ? segments.slice(0, -1) : segments).join('/');
+    const id = isDocument ? segments[segments.length - 1] : undefined;
+
+    const { error } = Joi.object({
+      collection: FirebaseSchemas.collectionPath.required(),
+      id: FirebaseSchemas.documentId.optional()
+    }).validate({ collection, id });
+
+    if (error) {
+      Logger.warn('Invalid Firestore path', {
+        path: segments.join('/'),
+        error: error.message,
+        endpoint: req.originalUrl,
+        userId: req.user?.uid
+      });
+
+      const response = FirebaseResponse.validation([{
+        field: 'path',
+        message: error.message,
+        value: segments.join('/')
+      }]);
+
+      return res.status(400).json(response);
+    }
+
+    req.params.collection = collection;
+    if (isDocument) req.params.id = id;
+    next();
+  };
+};
+
+const parseJsonQuery = (fields) => {
+  return (req, res, next) => {
+    const parsed = { ...req.query };
+    const errors = [];
+
+    fields.forEach(field => {
+      if (typeof parsed[field] !== 'string') return;
+
+      try {
+        parsed[field] = JSON.parse(parsed[field]);
+      } catch (parseError) {
+        errors.push({
+          field,
+          message: `"${field}" must be valid JSON`,
+          value: parsed[field],
+          type: 'json.parse'
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      const response = FirebaseResponse.validation(errors);
+      return res.status(400).json(response);
+    }
+
+    setRequestQuery(req, parsed);
+    next();
+  };
+};
+
+// Turns tagged values such as {"$timestamp": "..."} into Firestore types; runs after validateFirebase
+const deserializeFirestoreValues = (source = 'body') => {
+  return (req, res, next) => {
+    try {
+      const value = FirebaseSerializer.deserialize(source === 'query' ? req.query : req[source]);
+
+      if (source === 'query') setRequestQuery(req, value);
+      else req[source] = value;
+
+      next();
+    } catch (error) {
+      if (error.code !== 'INVALID_ARGUMENT') {
+        const response = FirebaseResponse.error(error, 'deserialize middleware');
+        return res.status(500).json(response);
+      }
+
+      const response = FirebaseResponse.validation([{
+        field: source,
+        message: error.message,
+        type: 'firestore.typedValue'
+      }]);
+      return res.status(400).json(response);
+    }
+  };
+};
+
 const validatePagination = validateFirebase(FirebaseSchemas.pagination, 'query');
 
-const sanitizeFirebaseData = (req, res, next) => {
+const createSanitizer = (reservedKeys = [], { keyCharacters = /[.#$[\]]/g } = {}) => (req, res, next) => {
   const sanitizeValue = (value) => {
     if (typeof value === 'string') {
       return value
@@ -235,7 +428,7 @@ const sanitizeFirebaseData = (req, res, next) => {
     } else if (value && typeof value === 'object') {
       const sanitized = {};
       for (const [key, val] of Object.entries(value)) {
-        const sanitizedKey = key.replace(/[.#$[\]]/g, '_');
+        const sanitizedKey = reservedKeys.includes(key) ? key : key.replace(keyCharacters, '_');
         sanitized[sanitizedKey] = sanitizeValue(val);
       }
       return sanitized;
@@ -248,7 +441,7 @@ const sanitizeFirebaseData = (req, res, next) => {
   }
 
   if (req.query) {
-    req.query = sanitizeValue(req.query);
+    setRequestQuery(req, sanitizeValue(req.query));
   }
 
   Logger.debug('Firebase data sanitized', {
@@ -260,6 +453,20 @@ const sanitizeFirebaseData = (req, res, next) => {
   next();
 };
 
+const sanitizeFirebaseData = createSanitizer();
+
+// Firestore payloads keep the typed value tags and merge patch placeholders intact
+const firestoreReservedKeys = [
+  ...FirebaseSerializer.TAGS,
+  FirebasePatch.SERVER_TIMESTAMP,
+  FirebasePatch.DELETE
+];
+
+const sanitizeFirestoreData = createSanitizer(firestoreReservedKeys);
+
+// Merge patch keys become single FieldPath segments, so a dot in a key names one field
+const sanitizeFirestorePatch = createSanitizer(firestoreReservedKeys, { keyCharacters: /[#$[\]]/g });
+
 const createFirebaseRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   const requests = new Map();
 
@@ -311,13 +518,24 @@ const createFirebaseRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) =
 };
 
 const validateFirebaseParams = validateFirebase(Joi.object({
-  collection: FirebaseSchemas.collectionName.optional(),
+  collection: FirebaseSchemas.collectionPath.optional(),
   id: FirebaseSchemas.documentId.optional(),
+  versionId: FirebaseSchemas.documentId.optional(),
+  field: FirebaseSchemas.fieldPath.optional(),
   uid: FirebaseSchemas.firebaseUid.optional()
 }), 'params');
 
+const validateFirestoreParams = validateFirebase(Joi.object({
+  collection: FirebaseSchemas.exposedCollection.optional(),
+  id: FirebaseSchemas.documentId.optional(),
+  versionId: FirebaseSchemas.documentId.optional(),
+  field: FirebaseSchemas.fieldPath.optional()
+}), 'params');
+
 const commonValidations = {
-  firestore: [sanitizeFirebaseData, validateFirebaseParams],
+  firestore: [sanitizeFirestoreData, validateFirestoreParams],
+
+  firestorePatch: [sanitizeFirestorePatch, validateFirestoreParams],
   
   userAuth: [sanitizeFirebaseData, validateFirebaseParams],
   
@@ -337,10 +555,17 @@ module.exports = {
   validateUserUpdate,
   validateRealtimeDbPath,
   validateFileUpload,
+  validateStoragePath,
+  resolveFirestorePath,
   validatePagination,
   validateFirebaseParams,
+  validateFirestoreParams,
+  parseJsonQuery,
+  deserializeFirestoreValues,
   
   sanitizeFirebaseData,
+  sanitizeFirestoreData,
+  sanitizeFirestorePatch,
   createFirebaseRateLimit,
   
   commonValidations
@@ -1,9 +1,16 @@
 const express = require('express');
+const { once } = require('events');
 const Joi = require('joi');
 const firestoreService = require('../services/firebase-firestore');
+const searchIndexService = require('../services/firebase-search');
+const schemaRegistry = require('../services/firebase-schema-registry');
+const rulesEngine = require('../services/firebase-rules');
+const collectionRegistry = require('../services/firebase-collection-registry');
 const { 
   verifyFirebaseToken,
   optionalFirebaseAuth,
+  requireAdmin,
+  authorizeFirestore,
   addFirebaseContext,
   logFirebaseOperation 
 } = require('../middleware/firebase-auth');
@@ -13,22 +20,66 @@ const {
   validateFirebase,
   FirebaseSchemas,
   createFirebaseRateLimit,
+  parseJsonQuery,
+  resolveFirestorePath,
+  deserializeFirestoreValues,
+  sanitizeFirestoreData,
   commonValidations
 } = require('../middleware/firebase-validation');
+const { FirebaseEventStream } = require('../utils/firebase-sse');
+const { FirebaseResponse } = require('../utils/firebase-response');
+const FirebaseETag = require('../utils/firebase-etag');
+const FirebasePatch = require('../utils/firebase-patch');
+const FirebaseTransfer = require('../utils/firebase-transfer');
 const Logger = require('../utils/firebase-logger');
 
 const router = express.Router();
 
+const failureStatus = (result, fallback) => {
+  if (result.type === 'VALIDATION_ERROR') return 400;
+  if (result.error?.code === 'PRECONDITION_FAILED') return 412;
+  if (result.error?.code === 'NOT_DELETED') return 409;
+  if (result.error?.code === 'RESTRICTED') return 409;
+  if (result.error?.code === 'TOO_MANY_DEPENDENTS') return 409;
+  if (result.error?.code === 'ALREADY_EXISTS') return 409;
+  if (result.error?.code === 'NOT_FOUND') return 404;
+  return fallback;
+};
+
+const writeChecks = operations => operations.map(({ type, collection, id, data }) => ({
+  action: type,
+  collection,
+  id,
+  data
+}));
+
+const patchData = ({ data, operations }) => (
+  data || FirebasePatch.apply({}, FirebasePatch.fromOperations(operations))
+);
+
+// Expanded references are reads of other documents, so each target is checked against the read rules
+const authorizeRead = req => async targets => (
+  await rulesEngine.authorize(req.user || null, targets.map(({ collection, id }) => ({ action: 'read', collection, id })))
+).decisions.map(({ allowed }) => allowed);
+
+const orderBySchema = Joi.object({
+  field: Joi.string().required(),
+  direction: Joi.string().valid('asc', 'desc').default('asc')
+});
+
 router.use(addFirebaseContext);
 router.use(createFirebaseRateLimit(200, 15 * 60 * 1000));
 
-router.post('/collections/:collection/documents',
+router.post(['/collections/:collection/documents', '/documents/*path'],
+  resolveFirestorePath('collection'),
   verifyFirebaseToken(),
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     data: Joi.object().required().max(1048576),
     docId: FirebaseSchemas.documentId.optional()
   })),
+  deserializeFirestoreValues(),
+  authorizeFirestore('create'),
   logFirebaseOperation('createDocument'),
   async (req, res) => {
     try {
@@ -37,7 +88,7 @@ router.post('/collections/:collection/documents',
       const userId = req.user.uid;
 
       const result = await firestoreService.createDocument(collection, data, docId, userId);
-      return res.status(result.success ? 201 : 400).json(result);
+      return res.status(result.success ? 201 : failureStatus(result, 400)).json(result);
     } catch (error) {
       Logger.failure('createDocument', error, req.firebaseContext);
       return res.status(500).json({ success: false, error: error.message });
@@ -45,16 +96,103 @@ router.post('/collections/:collection/documents',
   }
 );
 
-router.get('/collections/:collection/documents/:id',
+router.post('/collections/:collection/documents\\:batchGet',
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    ids: Joi.array().items(FirebaseSchemas.documentId).min(1).max(500).required(),
+    fields: Joi.array().items(FirebaseSchemas.fieldPath).min(1).max(100).unique().optional(),
+    expand: Joi.array().items(FirebaseSchemas.fieldPath).max(10).unique().optional()
+  })),
+  authorizeFirestore(req => req.body.ids.map(id => ({ action: 'read', collection: req.params.collection, id }))),
+  logFirebaseOperation('batchGetDocuments'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const { ids, fields, expand } = req.body;
+
+      const targets = ids.map(id => ({ collection, id }));
+
+      const result = await firestoreService.batchGetDocuments(targets, {
+        fields,
+        expand,
+        authorizeRead: authorizeRead(req)
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('batchGetDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/documents\\:batchGet',
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    documents: Joi.array().items(
+      Joi.object({
+        collection: FirebaseSchemas.exposedCollection.required(),
+        id: FirebaseSchemas.documentId.required()
+      })
+    ).min(1).max(500).required(),
+    fields: Joi.array().items(FirebaseSchemas.fieldPath).min(1).max(100).unique().optional(),
+    expand: Joi.array().items(FirebaseSchemas.fieldPath).max(10).unique().optional()
+  })),
+  authorizeFirestore(req => req.body.documents.map(({ collection, id }) => ({ action: 'read', collection, id }))),
+  logFirebaseOperation('batchGetDocuments'),
+  async (req, res) => {
+    try {
+      const { documents, fields, expand } = req.body;
+
+      const result = await firestoreService.batchGetDocuments(documents, {
+        fields,
+        expand,
+        includePath: true,
+        authorizeRead: authorizeRead(req)
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('batchGetDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get(['/collections/:collection/documents/:id', '/documents/*path'],
+  resolveFirestorePath('document'),
   optionalFirebaseAuth,
   ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    fields: FirebaseSchemas.fieldList.optional(),
+    expand: FirebaseSchemas.fieldList.optional()
+  }), 'query'),
+  authorizeFirestore('read'),
   logFirebaseOperation('getDocument'),
   async (req, res) => {
     try {
       const { collection, id } = req.params;
+      const { fields, expand } = req.query;
 
-      const result = await firestoreService.getDocument(collection, id);
-      return res.status(result.success ? 200 : 404).json(result);
+      const result = await firestoreService.getDocument(collection, id, {
+        fields,
+        expand,
+        authorizeRead: authorizeRead(req)
+      });
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      const { etag } = result.meta;
+      res.set('ETag', etag);
+
+      // The ETag tracks the stored document for If-Match, not this response body: a projection or
+      // expanded references can differ from what the client cached, so those are always sent in full
+      if (!fields && !expand && FirebaseETag.matches(req.get('If-None-Match'), etag)) {
+        return res.status(304).end();
+      }
+
+      return res.status(200).json(result);
     } catch (error) {
       Logger.failure('getDocument', error, req.firebaseContext);
       return res.status(500).json({ success: false, error: error.message });
@@ -62,12 +200,15 @@ router.get('/collections/:collection/documents/:id',
   }
 );
 
-router.put('/collections/:collection/documents/:id',
+router.put(['/collections/:collection/documents/:id', '/documents/*path'],
+  resolveFirestorePath('document'),
   verifyFirebaseToken(),
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     data: Joi.object().required().max(1048576)
   })),
+  deserializeFirestoreValues(),
+  authorizeFirestore('update'),
   logFirebaseOperation('updateDocument'),
   async (req, res) => {
     try {
@@ -75,8 +216,13 @@ router.put('/collections/:collection/documents/:id',
       const { data } = req.body;
       const userId = req.user.uid;
 
-      const result = await firestoreService.updateDocument(collection, id, data, userId);
-      return res.status(result.success ? 200 : 404).json(result);
+      const ifMatch = req.get('If-Match');
+
+      const result = await firestoreService.updateDocument(collection, id, data, userId, { ifMatch });
+      if (result.success) {
+        res.set('ETag', result.meta.etag);
+      }
+      return res.status(result.success ? 200 : failureStatus(result, 404)).json(result);
     } catch (error) {
       Logger.failure('updateDocument', error, req.firebaseContext);
       return res.status(500).json({ success: false, error: error.message });
@@ -84,12 +230,64 @@ router.put('/collections/:collection/documents/:id',
   }
 );
 
-router.delete('/collections/:collection/documents/:id',
+router.patch(['/collections/:collection/documents/:id', '/documents/*path'],
+  resolveFirestorePath('document'),
+  verifyFirebaseToken(),
+  ...commonValidations.firestorePatch,
+  validateFirebase(Joi.object({
+    data: Joi.object().min(1).max(1048576),
+    operations: Joi.array().items(Joi.object({
+      op: Joi.string().valid('add', 'replace', 'remove', 'serverTimestamp').required(),
+      path: Joi.string().pattern(/^(\/[^/]+)+$/).max(1500).required(),
+      value: Joi.any().when('op', {
+        is: Joi.valid('add', 'replace'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      })
+    })).min(1).max(500),
+    upsert: Joi.boolean().default(false)
+  }).xor('data', 'operations')),
+  deserializeFirestoreValues(),
+  authorizeFirestore(req => [{
+    action: req.body.upsert ? 'set' : 'update',
+    collection: req.params.collection,
+    id: req.params.id,
+    data: patchData(req.body)
+  }]),
+  logFirebaseOperation('patchDocument'),
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const { data, operations, upsert } = req.body;
+      const userId = req.user.uid;
+
+      const ifMatch = req.get('If-Match');
+
+      const patch = data
+        ? FirebasePatch.fromMergePatch(data)
+        : FirebasePatch.fromOperations(operations);
+
+      const result = await firestoreService.patchDocument(collection, id, patch, userId, { upsert, ifMatch });
+      if (result.success) {
+        res.set('ETag', result.meta.etag);
+        return res.status(result.meta.created ? 201 : 200).json(result);
+      }
+      return res.status(failureStatus(result, 400)).json(result);
+    } catch (error) {
+      Logger.failure('patchDocument', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.delete(['/collections/:collection/documents/:id', '/documents/*path'],
+  resolveFirestorePath('document'),
   verifyFirebaseToken(),
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     hardDelete: Joi.boolean().default(false)
   }), 'query'),
+  authorizeFirestore('delete'),
   logFirebaseOperation('deleteDocument'),
   async (req, res) => {
     try {
@@ -97,8 +295,10 @@ router.delete('/collections/:collection/documents/:id',
       const { hardDelete } = req.query;
       const userId = req.user.uid;
 
-      const result = await firestoreService.deleteDocument(collection, id, hardDelete, userId);
-      return res.status(result.success ? 200 : 404).json(result);
+      const ifMatch = req.get('If-Match');
+
+      const result = await firestoreService.deleteDocument(collection, id, hardDelete, userId, { ifMatch });
+      return res.status(result.success ? 200 : failureStatus(result, 404)).json(result);
     } catch (error) {
       Logger.failure('deleteDocument', error, req.firebaseContext);
       return res.status(500).json({ success: false, error: error.message });
@@ -106,24 +306,205 @@ router.delete('/collections/:collection/documents/:id',
   }
 );
 
-router.post('/collections/:collection/query',
+router.post('/collections/:collection/documents/:id/restore',
+  verifyFirebaseToken(),
+  ...commonValidations.firestore,
+  authorizeFirestore('update'),
+  logFirebaseOperation('restoreDocument'),
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const userId = req.user.uid;
+
+      const ifMatch = req.get('If-Match');
+
+      const result = await firestoreService.restoreDocument(collection, id, userId, { ifMatch });
+      if (result.success) {
+        res.set('ETag', result.meta.etag);
+      }
+      return res.status(result.success ? 200 : failureStatus(result, 404)).json(result);
+    } catch (error) {
+      Logger.failure('restoreDocument', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/collections/:collection/trash',
+  verifyFirebaseToken(),
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    startAfter: FirebaseSchemas.cursor.optional(),
+    endBefore: FirebaseSchemas.cursor.optional()
+  }).oxor('startAfter', 'endBefore'), 'query'),
+  authorizeFirestore('read'),
+  logFirebaseOperation('listTrash'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const { limit, startAfter, endBefore } = req.query;
+
+      const result = await firestoreService.listTrash(collection, { limit, startAfter, endBefore });
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('listTrash', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/collections/:collection/trash/purge',
+  verifyFirebaseToken(),
+  requireAdmin,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    retentionDays: Joi.number().integer().min(1).optional(),
+    dryRun: Joi.boolean().default(false)
+  }).default()),
+  logFirebaseOperation('purgeDeletedDocuments'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const { retentionDays, dryRun } = req.body;
+
+      const result = await firestoreService.purgeDeletedDocuments(collection, { retentionDays, dryRun });
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('purgeDeletedDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/trash/purge',
+  verifyFirebaseToken(),
+  requireAdmin,
+  validateFirebase(Joi.object({
+    dryRun: Joi.boolean().default(false)
+  }).default()),
+  logFirebaseOperation('purgeAllDeletedDocuments'),
+  async (req, res) => {
+    try {
+      const { dryRun } = req.body;
+
+      const result = await firestoreService.purgeAllDeletedDocuments({ dryRun });
+      return res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      Logger.failure('purgeAllDeletedDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/collections/:collection/documents/:id/versions',
+  verifyFirebaseToken(),
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    limit: Joi.number().integer().min(1).max(500).default(50)
+  }), 'query'),
+  authorizeFirestore('read'),
+  logFirebaseOperation('listVersions'),
+  async (req, res) => {
+    try {
+      const { collection, id } = req.params;
+      const { limit } = req.query;
+
+      const result = await firestoreService.listVersions(collection, id, limit);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('listVersions', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/collections/:collection/documents/:id/versions/:versionId',
+  verifyFirebaseToken(),
+  ...commonValidations.firestore,
+  authorizeFirestore('read'),
+  logFirebaseOperation('getVersion'),
+  async (req, res) => {
+    try {
+      const { collection, id, versionId } = req.params;
+
+      const result = await firestoreService.getVersion(collection, id, versionId);
+      return res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      Logger.failure('getVersion', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/collections/:collection/documents/:id/versions/:versionId/restore',
+  verifyFirebaseToken(),
+  ...commonValidations.firestore,
+  authorizeFirestore('update'),
+  logFirebaseOperation('restoreVersion'),
+  async (req, res) => {
+    try {
+      const { collection, id, versionId } = req.params;
+      const userId = req.user.uid;
+
+      const result = await firestoreService.restoreVersion(collection, id, versionId, userId);
+      if (result.success) {
+        res.set('ETag', result.meta.etag);
+      }
+      return res.status(result.success ? 200 : failureStatus(result, 404)).json(result);
+    } catch (error) {
+      Logger.failure('restoreVersion', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/collections/:collection/schema',
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  authorizeFirestore('read'),
+  logFirebaseOperation('getCollectionSchema'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+
+      const schema = schemaRegistry.describe(collection);
+      if (!schema) {
+        return res.status(404).json(FirebaseResponse.notFound('Schema', collection));
+      }
+
+      return res.status(200).json(FirebaseResponse.success({
+        collection,
+        schema
+      }, 'Collection schema retrieved successfully'));
+    } catch (error) {
+      Logger.failure('getCollectionSchema', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post(['/collections/:collection/query', '/documents/*path/query'],
+  resolveFirestorePath('collection'),
   optionalFirebaseAuth,
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     filters: FirebaseSchemas.firestoreFilters.optional(),
-    orderBy: Joi.object({
-      field: Joi.string().required(),
-      direction: Joi.string().valid('asc', 'desc').default('asc')
-    }).optional(),
+    orderBy: orderBySchema.optional(),
     limit: Joi.number().integer().min(1).max(1000).default(50),
-    startAfter: FirebaseSchemas.documentId.optional(),
-    includeDeleted: Joi.boolean().default(false)
-  })),
+    startAfter: FirebaseSchemas.cursor.optional(),
+    endBefore: FirebaseSchemas.cursor.optional(),
+    includeDeleted: Joi.boolean().default(false),
+    fields: Joi.array().items(FirebaseSchemas.fieldPath).min(1).max(100).unique().optional(),
+    expand: Joi.array().items(FirebaseSchemas.fieldPath).max(10).unique().optional()
+  }).oxor('startAfter', 'endBefore')),
+  deserializeFirestoreValues(),
+  authorizeFirestore('read'),
   logFirebaseOperation('queryDocuments'),
   async (req, res) => {
     try {
       const { collection } = req.params;
-      const options = req.body;
+      const options = { ...req.body, authorizeRead: authorizeRead(req) };
 
       const result = await firestoreService.queryDocuments(collection, options);
       return res.status(result.success ? 200 : 400).json(result);
@@ -134,27 +515,248 @@ router.post('/collections/:collection/query',
   }
 );
 
-router.get('/collections/:collection/documents',
+router.post('/collection-groups/:collection/query',
   optionalFirebaseAuth,
-  ...commonValidations.firestore,
+  sanitizeFirestoreData,
   validateFirebase(Joi.object({
+    collection: FirebaseSchemas.exposedCollectionGroup.required()
+  }), 'params'),
+  validateFirebase(Joi.object({
+    filters: FirebaseSchemas.firestoreFilters.optional(),
+    orderBy: orderBySchema.optional(),
     limit: Joi.number().integer().min(1).max(1000).default(50),
-    orderBy: Joi.string().default('createdAt'),
-    orderDirection: Joi.string().valid('asc', 'desc').default('desc'),
-    startAfter: FirebaseSchemas.documentId.optional(),
+    startAfter: FirebaseSchemas.cursor.optional(),
+    endBefore: FirebaseSchemas.cursor.optional(),
+    includeDeleted: Joi.boolean().default(false),
+    fields: Joi.array().items(FirebaseSchemas.fieldPath).min(1).max(100).unique().optional(),
+    expand: Joi.array().items(FirebaseSchemas.fieldPath).max(10).unique().optional()
+  }).oxor('startAfter', 'endBefore')),
+  deserializeFirestoreValues(),
+  authorizeFirestore(req => [{ action: 'read', collection: req.params.collection, collectionGroup: true }]),
+  logFirebaseOperation('queryCollectionGroup'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const options = { ...req.body, collectionGroup: true, authorizeRead: authorizeRead(req) };
+
+      const result = await firestoreService.queryDocuments(collection, options);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('queryCollectionGroup', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/collections/:collection/export',
+  verifyFirebaseToken(),
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    format: Joi.string().valid('ndjson', 'csv').default('ndjson'),
+    fields: FirebaseSchemas.fieldList.optional(),
     includeDeleted: Joi.boolean().default(false)
   }), 'query'),
+  authorizeFirestore('read'),
+  logFirebaseOperation('exportCollection'),
+  async (req, res) => {
+    const { collection } = req.params;
+    const { format, fields, includeDeleted } = req.query;
+    const pageSize = 500;
+
+    let closed = false;
+    let exported = 0;
+    res.on('close', () => { closed = true; });
+
+    const write = async chunk => {
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    };
+
+    try {
+      const documents = firestoreService.streamCollection(collection, { includeDeleted, pageSize });
+
+      // CSV needs its header up front, so the first page decides the columns when none are given
+      const buffered = [];
+      let columns = fields;
+      if (format === 'csv' && !columns) {
+        while (buffered.length < pageSize) {
+          const { value, done } = await documents.next();
+          if (done) break;
+          buffered.push(value);
+        }
+        columns = [...new Set(buffered.flatMap(doc => Object.keys(doc.data())))]
+          .filter(column => column !== 'id')
+          .sort();
+      }
+
+      res.status(200);
+      res.setHeader('Content-Type', `${FirebaseTransfer.FORMATS[format]}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="${collection}.${format}"`);
+
+      const serialize = doc => (format === 'csv' ? FirebaseTransfer.toCsv(doc, columns) : FirebaseTransfer.toNdjson(doc));
+
+      if (format === 'csv') {
+        await write(FirebaseTransfer.toCsvRow(['id', ...columns]));
+      }
+      for (const doc of buffered) {
+        await write(serialize(doc));
+        exported += 1;
+      }
+      for await (const doc of documents) {
+        if (closed) break;
+        await write(serialize(doc));
+        exported += 1;
+      }
+
+      Logger.info('Collection exported', { collection, format, exported, aborted: closed });
+      res.end();
+    } catch (error) {
+      Logger.failure('exportCollection', error, { ...req.firebaseContext, exported });
+      if (!res.headersSent) {
+        return res.status(500).json({ success: false, error: error.message });
+      }
+      res.destroy(error);
+    }
+  }
+);
+
+router.post('/collections/:collection/import',
+  verifyFirebaseToken(),
+  requireAdmin,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    format: Joi.string().valid('ndjson', 'csv').optional(),
+    mode: Joi.string().valid('create', 'set', 'merge').default('set'),
+    dryRun: Joi.boolean().default(false)
+  }), 'query'),
+  logFirebaseOperation('importDocuments'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const { mode, dryRun } = req.query;
+      const format = req.query.format || FirebaseTransfer.formatFromContentType(req.headers['content-type']);
+
+      // JSON and form bodies are consumed by the body parsers, so imports must be sent raw
+      if (!format || req.readableEnded) {
+        return res.status(415).json(FirebaseResponse.validation([{
+          field: 'content-type',
+          message: 'Send the file as text/csv or application/x-ndjson'
+        }], 'Unsupported import content type'));
+      }
+
+      const records = format === 'csv' ? FirebaseTransfer.readCsv(req) : FirebaseTransfer.readNdjson(req);
+      const userId = req.user?.uid;
+
+      const result = await firestoreService.importDocuments(collection, records, userId, { mode, dryRun });
+      if (!result.success) {
+        return res.status(failureStatus(result, 500)).json(result);
+      }
+      return res.status(result.data.failed > 0 ? 207 : 200).json(result);
+    } catch (error) {
+      Logger.failure('importDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/collections/:collection/watch',
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  parseJsonQuery(['filters', 'orderBy']),
+  validateFirebase(Joi.object({
+    filters: FirebaseSchemas.firestoreFilters.optional(),
+    orderBy: orderBySchema.optional(),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    includeDeleted: Joi.boolean().default(false),
+    heartbeat: Joi.number().integer().min(5).max(120).default(25)
+  }), 'query'),
+  deserializeFirestoreValues('query'),
+  authorizeFirestore('read'),
+  logFirebaseOperation('watchQuery'),
+  (req, res) => {
+    const { collection } = req.params;
+    const { heartbeat, ...options } = req.query;
+
+    try {
+      const stream = new FirebaseEventStream(req, res, {
+        heartbeatMs: heartbeat * 1000,
+        context: { ...req.firebaseContext, collection }
+      });
+
+      let ready = false;
+
+      const listener = firestoreService.watchQuery(collection, options, (payload) => {
+        if (!payload.success) {
+          stream.send('error', payload);
+          stream.close('listener error');
+          return;
+        }
+
+        payload.changes.forEach(change => stream.send(change.type, change));
+
+        if (!ready) {
+          ready = true;
+          stream.send('ready', {
+            collection,
+            size: payload.size,
+            readTime: payload.readTime
+          });
+        }
+      });
+
+      if (!listener.success) {
+        stream.send('error', listener);
+        stream.close('listener attach failed');
+        return;
+      }
+
+      stream.onClose(() => listener.detach());
+    } catch (error) {
+      Logger.failure('watchQuery', error, req.firebaseContext);
+      if (!res.headersSent) {
+        return res.status(500).json({ success: false, error: error.message });
+      }
+      res.end();
+    }
+  }
+);
+
+router.get(['/collections/:collection/documents', '/documents/*path'],
+  resolveFirestorePath('collection'),
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    orderBy: Joi.string().optional(),
+    orderDirection: Joi.string().valid('asc', 'desc').optional(),
+    startAfter: FirebaseSchemas.cursor.optional(),
+    endBefore: FirebaseSchemas.cursor.optional(),
+    includeDeleted: Joi.boolean().default(false),
+    fields: FirebaseSchemas.fieldList.optional(),
+    expand: FirebaseSchemas.fieldList.optional()
+  }).oxor('startAfter', 'endBefore'), 'query'),
+  authorizeFirestore('read'),
   logFirebaseOperation('getAllDocuments'),
   async (req, res) => {
     try {
       const { collection } = req.params;
-      const { limit, orderBy, orderDirection, startAfter, includeDeleted } = req.query;
+      const { limit, orderBy, orderDirection, startAfter, endBefore, includeDeleted, fields, expand } = req.query;
+
+      const defaultOrder = collectionRegistry.orderBy(collection);
 
       const options = {
-        orderBy: { field: orderBy, direction: orderDirection },
+        orderBy: {
+          field: orderBy || defaultOrder.field,
+          direction: orderDirection || (orderBy ? 'desc' : defaultOrder.direction)
+        },
         limit,
         startAfter,
-        includeDeleted
+        endBefore,
+        includeDeleted,
+        fields,
+        expand,
+        authorizeRead: authorizeRead(req)
       };
 
       const result = await firestoreService.queryDocuments(collection, options);
@@ -171,15 +773,18 @@ router.get('/collections/:collection/search',
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     q: Joi.string().required().min(1).max(100),
-    fields: Joi.array().items(Joi.string()).max(10).default(['name', 'title', 'description'])
+    fields: Joi.array().items(Joi.string()).single().max(10).optional(),
+    page: Joi.number().integer().min(1).max(100).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
   }), 'query'),
+  authorizeFirestore('read'),
   logFirebaseOperation('searchDocuments'),
   async (req, res) => {
     try {
       const { collection } = req.params;
-      const { q: searchTerm, fields: searchFields } = req.query;
+      const { q: searchTerm, fields, page, limit } = req.query;
 
-      const result = await firestoreService.searchDocuments(collection, searchTerm, searchFields);
+      const result = await firestoreService.searchDocuments(collection, searchTerm, { fields, page, limit });
       return res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
       Logger.failure('searchDocuments', error, req.firebaseContext);
@@ -188,19 +793,41 @@ router.get('/collections/:collection/search',
   }
 );
 
-router.post('/collections/:collection/count',
+router.post('/collections/:collection/search/reindex',
+  verifyFirebaseToken(),
+  requireAdmin,
+  ...commonValidations.firestore,
+  logFirebaseOperation('reindexCollection'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+
+      const result = await searchIndexService.reindexCollection(collection);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('reindexCollection', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post(['/collections/:collection/count', '/documents/*path/count'],
+  resolveFirestorePath('collection'),
   optionalFirebaseAuth,
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
-    filters: FirebaseSchemas.firestoreFilters.optional()
+    filters: FirebaseSchemas.firestoreFilters.optional(),
+    includeDeleted: Joi.boolean().default(false)
   })),
+  deserializeFirestoreValues(),
+  authorizeFirestore('read'),
   logFirebaseOperation('countDocuments'),
   async (req, res) => {
     try {
       const { collection } = req.params;
-      const { filters = [] } = req.body;
+      const { filters = [], includeDeleted } = req.body;
 
-      const result = await firestoreService.countDocuments(collection, filters);
+      const result = await firestoreService.countDocuments(collection, filters, { includeDeleted });
       return res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
       Logger.failure('countDocuments', error, req.firebaseContext);
@@ -209,13 +836,82 @@ router.post('/collections/:collection/count',
   }
 );
 
+router.post('/collections/:collection/aggregate',
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    aggregations: Joi.array().items(
+      Joi.object({
+        type: Joi.string().valid('count', 'sum', 'avg').required(),
+        field: Joi.string().max(1500).when('type', {
+          is: 'count',
+          then: Joi.forbidden(),
+          otherwise: Joi.required()
+        }),
+        alias: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(100).optional()
+      })
+    ).min(1).max(5)
+      .unique((a, b) => firestoreService.aggregationKey(a) === firestoreService.aggregationKey(b))
+      .messages({ 'array.unique': 'Aggregations must produce distinct result keys; use an alias to tell them apart' })
+      .required(),
+    filters: FirebaseSchemas.firestoreFilters.optional(),
+    includeDeleted: Joi.boolean().default(false)
+  })),
+  deserializeFirestoreValues(),
+  authorizeFirestore('read'),
+  logFirebaseOperation('aggregateDocuments'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const { aggregations, filters = [], includeDeleted } = req.body;
+
+      const result = await firestoreService.aggregateDocuments(collection, aggregations, filters, { includeDeleted });
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('aggregateDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/collections/:collection/nearby',
+  optionalFirebaseAuth,
+  ...commonValidations.firestore,
+  validateFirebase(Joi.object({
+    center: FirebaseSchemas.geoPoint.optional(),
+    radius: Joi.number().positive().max(500000).when('center', {
+      is: Joi.exist(),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    bounds: FirebaseSchemas.geoBounds.optional(),
+    filters: FirebaseSchemas.firestoreFilters.optional(),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    includeDeleted: Joi.boolean().default(false)
+  }).xor('center', 'bounds')),
+  authorizeFirestore('read'),
+  logFirebaseOperation('nearbyDocuments'),
+  async (req, res) => {
+    try {
+      const { collection } = req.params;
+      const options = req.body;
+
+      const result = await firestoreService.nearbyDocuments(collection, options);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('nearbyDocuments', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 router.post('/batch',
   verifyFirebaseToken(),
   validateFirebase(Joi.object({
     operations: Joi.array().items(
       Joi.object({
         type: Joi.string().valid('create', 'update', 'delete').required(),
-        collection: FirebaseSchemas.collectionName.required(),
+        collection: FirebaseSchemas.exposedCollection.required(),
         id: FirebaseSchemas.documentId.when('type', {
           is: Joi.valid('update', 'delete'),
           then: Joi.required(),
@@ -229,13 +925,16 @@ router.post('/batch',
       })
     ).min(1).max(500).required()
   })),
+  deserializeFirestoreValues(),
+  authorizeFirestore(req => writeChecks(req.body.operations)),
   logFirebaseOperation('batchOperations'),
   async (req, res) => {
     try {
       const { operations } = req.body;
+      const userId = req.user.uid;
 
-      const result = await firestoreService.batchOperations(operations);
-      return res.status(result.success ? 200 : 400).json(result);
+      const result = await firestoreService.batchOperations(operations, userId);
+      return res.status(result.success ? 200 : failureStatus(result, 400)).json(result);
     } catch (error) {
       Logger.failure('batchOperations', error, req.firebaseContext);
       return res.status(500).json({ success: false, error: error.message });
@@ -243,12 +942,129 @@ router.post('/batch',
   }
 );
 
-router.post('/collections/:collection/documents/:id/array/:field/add',
+router.post('/bulk',
+  verifyFirebaseToken(),
+  validateFirebase(Joi.object({
+    operations: Joi.array().items(
+      Joi.object({
+        type: Joi.string().valid('create', 'set', 'update', 'delete').required(),
+        collection: FirebaseSchemas.exposedCollection.required(),
+        id: FirebaseSchemas.documentId.when('type', {
+          is: 'create',
+          then: Joi.optional(),
+          otherwise: Joi.required()
+        }),
+        data: Joi.object().when('type', {
+          is: 'delete',
+          then: Joi.forbidden(),
+          otherwise: Joi.required()
+        }),
+        merge: Joi.boolean().when('type', {
+          is: 'set',
+          then: Joi.optional().default(false),
+          otherwise: Joi.forbidden()
+        })
+      })
+    ).min(1).max(10000).required(),
+    chunkSize: Joi.number().integer().min(1).max(500).default(500),
+    maxRetries: Joi.number().integer().min(0).max(10).default(3)
+  })),
+  deserializeFirestoreValues(),
+  authorizeFirestore(req => writeChecks(req.body.operations)),
+  logFirebaseOperation('bulkWrite'),
+  async (req, res) => {
+    try {
+      const { operations, chunkSize, maxRetries } = req.body;
+      const userId = req.user.uid;
+
+      const result = await firestoreService.bulkWrite(operations, userId, { chunkSize, maxRetries });
+      return res.status(result.success ? 200 : result.results ? 207 : failureStatus(result, 400)).json(result);
+    } catch (error) {
+      Logger.failure('bulkWrite', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/transaction',
+  verifyFirebaseToken(),
+  validateFirebase(Joi.object({
+    reads: Joi.array().items(
+      Joi.object({
+        collection: FirebaseSchemas.exposedCollection.required(),
+        id: FirebaseSchemas.documentId.required()
+      })
+    ).max(100).default([]),
+    writes: Joi.array().items(
+      Joi.object({
+        type: Joi.string().valid('create', 'set', 'update', 'delete').required(),
+        collection: FirebaseSchemas.exposedCollection.required(),
+        id: FirebaseSchemas.documentId.when('type', {
+          is: 'create',
+          then: Joi.optional(),
+          otherwise: Joi.required()
+        }),
+        data: Joi.object().when('type', {
+          is: Joi.valid('create', 'set'),
+          then: Joi.required(),
+          otherwise: Joi.when('type', { is: 'update', then: Joi.optional(), otherwise: Joi.forbidden() })
+        }),
+        increments: Joi.object().pattern(Joi.string(), Joi.number()).when('type', {
+          is: 'delete',
+          then: Joi.forbidden(),
+          otherwise: Joi.optional()
+        }),
+        hardDelete: Joi.boolean().when('type', {
+          is: 'delete',
+          then: Joi.optional().default(false),
+          otherwise: Joi.forbidden()
+        }),
+        conditions: Joi.array().items(
+          Joi.object({
+            field: Joi.string().max(1500).required(),
+            operator: Joi.string().valid('==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'exists').required(),
+            value: Joi.when('operator', {
+              switch: [
+                { is: Joi.valid('in', 'not-in'), then: Joi.array().min(1).max(30).required() },
+                { is: 'exists', then: Joi.boolean().required() }
+              ],
+              otherwise: Joi.any().required()
+            })
+          })
+        ).max(20).default([])
+      }).or('data', 'increments', 'hardDelete')
+    ).min(1).max(500).required(),
+    maxAttempts: Joi.number().integer().min(1).max(10).default(5)
+  })),
+  deserializeFirestoreValues(),
+  authorizeFirestore(req => [
+    ...req.body.reads.map(({ collection, id }) => ({ action: 'read', collection, id })),
+    ...writeChecks(req.body.writes)
+  ]),
+  logFirebaseOperation('runTransaction'),
+  async (req, res) => {
+    try {
+      const { reads, writes, maxAttempts } = req.body;
+      const userId = req.user.uid;
+
+      const result = await firestoreService.runTransaction(reads, writes, userId, { maxAttempts });
+      return res.status(result.success ? 200 : result.results ? 409 : failureStatus(result, 400)).json(result);
+    } catch (error) {
+      Logger.failure('runTransaction', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post(['/collections/:collection/documents/:id/array/:field/add', '/documents/*path/array/:field/add'],
+  resolveFirestorePath('document'),
   verifyFirebaseToken(),
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     value: Joi.any().required()
   })),
+  deserializeFirestoreValues(),
+  authorizeFirestore('update'),
   logFirebaseOperation('addToArray'),
   async (req, res) => {
     try {
@@ -265,12 +1081,15 @@ router.post('/collections/:collection/documents/:id/array/:field/add',
   }
 );
 
-router.post('/collections/:collection/documents/:id/array/:field/remove',
+router.post(['/collections/:collection/documents/:id/array/:field/remove', '/documents/*path/array/:field/remove'],
+  resolveFirestorePath('document'),
   verifyFirebaseToken(),
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     value: Joi.any().required()
   })),
+  deserializeFirestoreValues(),
+  authorizeFirestore('update'),
   logFirebaseOperation('removeFromArray'),
   async (req, res) => {
     try {
@@ -287,12 +1106,14 @@ router.post('/collections/:collection/documents/:id/array/:field/remove',
   }
 );
 
-router.post('/collections/:collection/documents/:id/increment/:field',
+router.post(['/collections/:collection/documents/:id/increment/:field', '/documents/*path/increment/:field'],
+  resolveFirestorePath('document'),
   verifyFirebaseToken(),
   ...commonValidations.firestore,
   validateFirebase(Joi.object({
     amount: Joi.number().default(1)
   })),
+  authorizeFirestore('update'),
   logFirebaseOperation('incrementField'),
   async (req, res) => {
     try {
@@ -309,6 +1130,92 @@ router.post('/collections/:collection/documents/:id/increment/:field',
   }
 );
 
+const counterParams = Joi.object({
+  name: FirebaseSchemas.documentId.required()
+});
+
+// Counters are authorized under the rules key of the collection that stores them
+const counterCheck = action => req => [{ action, collection: '_counters', id: req.params.name }];
+
+router.post('/counters/:name/increment',
+  verifyFirebaseToken(),
+  sanitizeFirestoreData,
+  validateFirebase(counterParams, 'params'),
+  validateFirebase(Joi.object({
+    amount: Joi.number().integer().min(1).max(1000).default(1),
+    shards: Joi.number().integer().min(1).max(500).optional()
+  })),
+  authorizeFirestore(counterCheck('set')),
+  logFirebaseOperation('incrementCounter'),
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { amount, shards } = req.body;
+      const userId = req.user.uid;
+
+      const result = await firestoreService.incrementCounter(name, amount, { shards, userId });
+      return res.status(result.success ? 200 : failureStatus(result, 500)).json(result);
+    } catch (error) {
+      Logger.failure('incrementCounter', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/counters/:name',
+  verifyFirebaseToken(),
+  validateFirebase(counterParams, 'params'),
+  authorizeFirestore(counterCheck('read')),
+  logFirebaseOperation('getCounter'),
+  async (req, res) => {
+    try {
+      const result = await firestoreService.getCounter(req.params.name);
+      return res.status(result.success ? 200 : failureStatus(result, 500)).json(result);
+    } catch (error) {
+      Logger.failure('getCounter', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/rules/explain',
+  verifyFirebaseToken(),
+  requireAdmin,
+  validateFirebase(Joi.object({
+    action: Joi.string().valid('read', 'create', 'update', 'delete', 'set').required(),
+    collection: FirebaseSchemas.collectionPath.required(),
+    id: FirebaseSchemas.documentId.optional(),
+    data: Joi.object().optional(),
+    collectionGroup: Joi.boolean().default(false),
+    user: Joi.object({
+      uid: Joi.string().min(1).max(128).required(),
+      roles: Joi.array().items(Joi.string()).optional()
+    }).allow(null).optional()
+  })),
+  deserializeFirestoreValues(),
+  logFirebaseOperation('explainRules'),
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { user: subject, ...check } = req.body;
+
+      // Without a subject the caller's own access is explained; null explains an anonymous caller
+      const user = subject === undefined ? req.user : subject && { uid: subject.uid };
+      const result = await rulesEngine.authorize(user, [check], { roles: subject?.roles });
+
+      const [decision] = result.decisions;
+      return res.status(200).json(FirebaseResponse.success({
+        user: user ? { uid: user.uid, roles: result.roles } : null,
+        ...decision
+      }, decision.allowed ? 'Rules allow this request' : 'Rules deny this request', Date.now() - startTime));
+    } catch (error) {
+      Logger.failure('explainRules', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 router.get('/health',
   logFirebaseOperation('healthCheck'),
   async (req, res) => {
@@ -361,25 +1268,83 @@ router.get('/info',
         features: [
           'Document CRUD operations',
           'Advanced querying with filters',
-          'Search functionality',
+          'Subcollection paths and collection group queries',
+          'Real-time query subscriptions',
+          'Signed cursor pagination',
+          'Field projection and reference expansion',
+          'Relevance-ranked full-text search',
+          'Aggregate queries (count, sum, avg)',
+          'Geospatial radius and bounding-box queries',
           'Batch operations',
+          'Multi-document reads in input order',
+          'Chunked bulk writes with per-operation results',
+          'Transactions with conditional writes',
           'Array and field operations',
-          'Soft delete support',
+          'Sharded counters for high-frequency increments',
+          'Per-collection document schemas',
+          'Document version history and restore',
+          'Partial updates with merge patch or JSON Patch operations',
+          'Optimistic concurrency with ETag / If-Match',
+          'Soft delete with restore, trash and retention purge',
+          'NDJSON / CSV export and streaming import',
+          'Typed JSON values ($timestamp, $geopoint, $ref, $bytes) in requests',
+          'Declarative per-collection access rules',
+          'Collection registry with per-collection defaults and limits',
+          'Per-collection before/after write hooks',
+          'Declarative relationships with cascade, restrict or nullify on delete',
           'Comprehensive logging',
           'Authentication integration'
         ],
+        collections: collectionRegistry.list(),
         endpoints: {
           documents: {
             create: 'POST /collections/:collection/documents',
             get: 'GET /collections/:collection/documents/:id',
+            batchGet: 'POST /collections/:collection/documents:batchGet',
+            batchGetAcross: 'POST /documents:batchGet',
             update: 'PUT /collections/:collection/documents/:id',
+            patch: 'PATCH /collections/:collection/documents/:id',
             delete: 'DELETE /collections/:collection/documents/:id',
             list: 'GET /collections/:collection/documents',
             query: 'POST /collections/:collection/query',
+            watch: 'GET /collections/:collection/watch (Server-Sent Events)',
             search: 'GET /collections/:collection/search',
-            count: 'POST /collections/:collection/count'
+            reindex: 'POST /collections/:collection/search/reindex',
+            count: 'POST /collections/:collection/count',
+            aggregate: 'POST /collections/:collection/aggregate',
+            nearby: 'POST /collections/:collection/nearby',
+            schema: 'GET /collections/:collection/schema'
+          },
+          trash: {
+            restore: 'POST /collections/:collection/documents/:id/restore',
+            list: 'GET /collections/:collection/trash',
+            purge: 'POST /collections/:collection/trash/purge',
+            purgeAll: 'POST /trash/purge'
+          },
+          nested: {
+            document: 'GET|PUT|PATCH|DELETE /documents/*path (e.g. /documents/incidents/:id/updates/:updateId)',
+            collection: 'GET|POST /documents/*path (e.g. /documents/incidents/:id/updates)',
+            query: 'POST /documents/*path/query',
+            count: 'POST /documents/*path/count',
+            arrays: 'POST /documents/*path/array/:field/add|remove',
+            increment: 'POST /documents/*path/increment/:field',
+            collectionGroup: 'POST /collection-groups/:collection/query'
+          },
+          transfer: {
+            export: 'GET /collections/:collection/export?format=ndjson|csv',
+            import: 'POST /collections/:collection/import?format=ndjson|csv&mode=create|set|merge&dryRun=true'
+          },
+          versions: {
+            list: 'GET /collections/:collection/documents/:id/versions',
+            get: 'GET /collections/:collection/documents/:id/versions/:versionId',
+            restore: 'POST /collections/:collection/documents/:id/versions/:versionId/restore'
+          },
+          rules: {
+            explain: 'POST /rules/explain'
           },
           batch: 'POST /batch',
+          bulk: 'POST /bulk',
+          transaction: 'POST /transaction',
           arrays: {
             add: 'POST /collections/:collection/documents/:id/array/:field/add',
             remove: 'POST /collections/:collection/documents/:id/array/:field/remove'
@@ -387,6 +1352,10 @@ router.get('/info',
           fields: {
             increment: 'POST /collections/:collection/documents/:id/increment/:field'
           },
+          counters: {
+            increment: 'POST /counters/:name/increment',
+            get: 'GET /counters/:name'
+          },
           utility: {
             health: 'GET /health',
             info: 'GET /info'
@@ -0,0 +1,292 @@
+const express = require('express');
+const Joi = require('joi');
+const realtimeDbService = require('../services/firebase-realtime-db');
+const {
+  verifyFirebaseToken,
+  optionalFirebaseAuth,
+  addFirebaseContext,
+  logFirebaseOperation
+} = require('../middleware/firebase-auth');
+const {
+  validateFirebase,
+  FirebaseSchemas,
+  sanitizeFirebaseData,
+  createFirebaseRateLimit,
+  commonValidations
+} = require('../middleware/firebase-validation');
+const { FirebaseEventStream } = require('../utils/firebase-sse');
+const Logger = require('../utils/firebase-logger');
+
+const router = express.Router();
+
+const LISTENER_EVENTS = ['value', 'child_added', 'child_changed', 'child_removed', 'child_moved'];
+
+const queryValue = Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean());
+
+router.use(addFirebaseContext);
+router.use(createFirebaseRateLimit(300, 15 * 60 * 1000));
+
+router.post('/query',
+  optionalFirebaseAuth,
+  validateFirebase(Joi.object({
+    path: FirebaseSchemas.firebasePath.required(),
+    orderByChild: Joi.string().max(768).optional(),
+    orderByKey: Joi.boolean().optional(),
+    orderByValue: Joi.boolean().optional(),
+    limitToFirst: Joi.number().integer().min(1).max(1000).optional(),
+    limitToLast: Joi.number().integer().min(1).max(1000).optional(),
+    startAt: queryValue.optional(),
+    endAt: queryValue.optional(),
+    equalTo: queryValue.optional()
+  }).oxor('orderByChild', 'orderByKey', 'orderByValue')
+    .oxor('limitToFirst', 'limitToLast')),
+  logFirebaseOperation('realtimeDbQuery'),
+  async (req, res) => {
+    try {
+      const { path, ...options } = req.body;
+
+      const result = await realtimeDbService.query(path, options);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbQuery', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/batch',
+  verifyFirebaseToken(),
+  validateFirebase(Joi.object({
+    updates: FirebaseSchemas.realtimeDbUpdate.min(1).max(500).required()
+  })),
+  logFirebaseOperation('realtimeDbBatchUpdate'),
+  async (req, res) => {
+    try {
+      const { updates } = req.body;
+      const userId = req.user.uid;
+
+      const result = await realtimeDbService.batchUpdate(updates, userId);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbBatchUpdate', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/stream',
+  optionalFirebaseAuth,
+  sanitizeFirebaseData,
+  validateFirebase(Joi.object({
+    path: FirebaseSchemas.firebasePath.required(),
+    events: Joi.array().items(Joi.string().valid(...LISTENER_EVENTS)).single().unique().min(1).default(['value']),
+    heartbeat: Joi.number().integer().min(5).max(120).default(25)
+  }), 'query'),
+  logFirebaseOperation('realtimeDbStream'),
+  async (req, res) => {
+    const { path, events, heartbeat } = req.query;
+    const listeners = [];
+
+    try {
+      const stream = new FirebaseEventStream(req, res, {
+        heartbeatMs: heartbeat * 1000,
+        context: { ...req.firebaseContext, path, events }
+      });
+
+      stream.onClose(() => {
+        listeners.forEach(listener => listener.detach());
+      });
+
+      for (const eventType of events) {
+        const listener = await realtimeDbService.listen(path, eventType, (payload) => {
+          if (!payload.success) {
+            stream.send('error', payload);
+            stream.close('listener error');
+            return;
+          }
+          stream.send(eventType, payload);
+        });
+
+        if (!listener.success) {
+          stream.send('error', listener);
+          stream.close('listener attach failed');
+          return;
+        }
+
+        if (stream.closed) {
+          listener.detach();
+          return;
+        }
+
+        listeners.push(listener);
+      }
+
+      stream.send('ready', {
+        path,
+        events,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      Logger.failure('realtimeDbStream', error, req.firebaseContext);
+      listeners.forEach(listener => listener.detach());
+      if (!res.headersSent) {
+        return res.status(500).json({ success: false, error: error.message });
+      }
+      res.end();
+    }
+  }
+);
+
+router.get('/info',
+  async (req, res) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        service: 'Firebase Realtime Database API',
+        version: '1.0.0',
+        endpoints: {
+          get: 'GET /*path',
+          exists: 'HEAD /*path',
+          set: 'PUT /*path',
+          update: 'PATCH /*path',
+          push: 'POST /*path',
+          remove: 'DELETE /*path',
+          query: 'POST /query',
+          batch: 'POST /batch',
+          stream: 'GET /stream?path=&events= (Server-Sent Events)',
+          info: 'GET /info'
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+router.head('/*path',
+  optionalFirebaseAuth,
+  ...commonValidations.realtimeDb,
+  logFirebaseOperation('realtimeDbExists'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+
+      const result = await realtimeDbService.exists(path);
+      if (!result.success) {
+        return res.status(400).end();
+      }
+      return res.status(result.data.exists ? 200 : 404).end();
+    } catch (error) {
+      Logger.failure('realtimeDbExists', error, req.firebaseContext);
+      return res.status(500).end();
+    }
+  }
+);
+
+router.get('/*path',
+  optionalFirebaseAuth,
+  ...commonValidations.realtimeDb,
+  logFirebaseOperation('realtimeDbGet'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+
+      const result = await realtimeDbService.get(path);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbGet', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.put('/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.realtimeDb,
+  validateFirebase(Joi.object({
+    data: Joi.object().required()
+  })),
+  logFirebaseOperation('realtimeDbSet'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+      const { data } = req.body;
+      const userId = req.user.uid;
+
+      const result = await realtimeDbService.set(path, data, userId);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbSet', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.patch('/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.realtimeDb,
+  validateFirebase(Joi.object({
+    updates: FirebaseSchemas.realtimeDbUpdate.min(1).required()
+  })),
+  logFirebaseOperation('realtimeDbUpdate'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+      const { updates } = req.body;
+      const userId = req.user.uid;
+
+      const result = await realtimeDbService.update(path, updates, userId);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbUpdate', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.realtimeDb,
+  validateFirebase(Joi.object({
+    data: Joi.object().required()
+  })),
+  logFirebaseOperation('realtimeDbPush'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+      const { data } = req.body;
+      const userId = req.user.uid;
+
+      const result = await realtimeDbService.push(path, data, userId);
+      return res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbPush', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.delete('/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.realtimeDb,
+  logFirebaseOperation('realtimeDbRemove'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+      const userId = req.user.uid;
+
+      const result = await realtimeDbService.remove(path, userId);
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('realtimeDbRemove', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
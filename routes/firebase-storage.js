@@ -0,0 +1,308 @@
+const express = require('express');
+const Joi = require('joi');
+const multer = require('multer');
+const storageService = require('../services/firebase-storage');
+const {
+  verifyFirebaseToken,
+  authorizeStorage,
+  addFirebaseContext,
+  logFirebaseOperation
+} = require('../middleware/firebase-auth');
+const {
+  validateFirebase,
+  validateFileUpload,
+  validateStoragePath,
+  FirebaseSchemas,
+  createFirebaseRateLimit,
+  commonValidations
+} = require('../middleware/firebase-validation');
+const { FirebaseResponse } = require('../utils/firebase-response');
+const Logger = require('../utils/firebase-logger');
+
+const router = express.Router();
+
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+const parseUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const response = FirebaseResponse.validation([{
+        field: error.field || 'file',
+        message: error.message,
+        type: error.code
+      }], 'File upload failed');
+      return res.status(400).json(response);
+    }
+
+    if (!req.file) {
+      const response = FirebaseResponse.validation([{
+        field: 'file',
+        message: 'A multipart "file" field is required'
+      }]);
+      return res.status(400).json(response);
+    }
+
+    if (typeof req.body.options === 'string') {
+      try {
+        req.body.options = JSON.parse(req.body.options);
+      } catch (parseError) {
+        const response = FirebaseResponse.validation([{
+          field: 'options',
+          message: 'Upload options must be a JSON object',
+          value: req.body.options
+        }]);
+        return res.status(400).json(response);
+      }
+    }
+
+    next();
+  });
+};
+
+router.use(addFirebaseContext);
+router.use(createFirebaseRateLimit(100, 15 * 60 * 1000));
+
+router.post('/upload',
+  verifyFirebaseToken(),
+  parseUpload,
+  ...commonValidations.storage,
+  validateFileUpload,
+  authorizeStorage(req => [req.body.remotePath]),
+  logFirebaseOperation('uploadFile'),
+  async (req, res) => {
+    try {
+      const { remotePath, options = {} } = req.body;
+      const { buffer, mimetype, originalname } = req.file;
+
+      const result = await storageService.uploadBuffer(buffer, remotePath, {
+        ...options,
+        contentType: options.contentType || mimetype,
+        metadata: {
+          ...options.metadata,
+          originalName: originalname,
+          uploadedBy: req.user.uid
+        }
+      });
+      return res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+      if (error && error.success === false) {
+        return res.status(500).json(error);
+      }
+      Logger.failure('uploadFile', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/files',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateFirebase(Joi.object({
+    prefix: Joi.string().max(1024).allow('').default(''),
+    maxResults: Joi.number().integer().min(1).max(1000).default(100)
+  }), 'query'),
+  authorizeStorage(req => [req.query.prefix].filter(Boolean)),
+  logFirebaseOperation('listFiles'),
+  async (req, res) => {
+    try {
+      const { maxResults } = req.query;
+      const prefix = req.query.prefix || req.storageScope || '';
+
+      const result = await storageService.listFiles(prefix, { maxResults });
+      return res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      Logger.failure('listFiles', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/download/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateStoragePath,
+  authorizeStorage(req => [req.params.path]),
+  logFirebaseOperation('downloadFile'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+
+      const result = await storageService.getFileStream(path);
+      if (!result.success) {
+        const status = result.error?.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json(result);
+      }
+
+      const { stream, name, size, contentType, etag } = result.data;
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `inline; filename="${encodeURIComponent(name)}"`,
+        ...(Number.isFinite(size) && { 'Content-Length': String(size) }),
+        ...(etag && { ETag: etag })
+      });
+
+      stream.on('error', (streamError) => {
+        Logger.failure('downloadFile', streamError, { ...req.firebaseContext, path });
+        if (!res.headersSent) {
+          return res.status(500).json(FirebaseResponse.error(streamError, 'downloadFile', { path }));
+        }
+        res.destroy(streamError);
+      });
+
+      req.on('close', () => stream.destroy());
+      stream.pipe(res);
+    } catch (error) {
+      Logger.failure('downloadFile', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/metadata/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateStoragePath,
+  authorizeStorage(req => [req.params.path]),
+  logFirebaseOperation('getFileMetadata'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+
+      const result = await storageService.getFileMetadata(path);
+      return res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      Logger.failure('getFileMetadata', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.patch('/metadata/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateStoragePath,
+  authorizeStorage(req => [req.params.path]),
+  validateFirebase(Joi.object({
+    contentType: Joi.string().max(100).optional(),
+    cacheControl: Joi.string().max(200).optional(),
+    contentDisposition: Joi.string().max(200).optional(),
+    metadata: Joi.object().pattern(Joi.string(), Joi.string().allow(null)).optional()
+  }).min(1)),
+  logFirebaseOperation('updateFileMetadata'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+
+      const result = await storageService.updateMetadata(path, req.body);
+      return res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      Logger.failure('updateFileMetadata', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/url/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateStoragePath,
+  authorizeStorage(req => [req.params.path]),
+  validateFirebase(Joi.object({
+    expiresIn: Joi.number().integer().min(60 * 1000).max(7 * 24 * 60 * 60 * 1000).default(60 * 60 * 1000)
+  }), 'query'),
+  logFirebaseOperation('getDownloadUrl'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+      const { expiresIn } = req.query;
+
+      const result = await storageService.getDownloadUrl(path, expiresIn);
+      return res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      Logger.failure('getDownloadUrl', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.post('/copy',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateFirebase(Joi.object({
+    sourcePath: FirebaseSchemas.storagePath.required(),
+    destinationPath: FirebaseSchemas.storagePath.required()
+  })),
+  authorizeStorage(req => [req.body.sourcePath, req.body.destinationPath]),
+  logFirebaseOperation('copyFile'),
+  async (req, res) => {
+    try {
+      const { sourcePath, destinationPath } = req.body;
+
+      const result = await storageService.copyFile(sourcePath, destinationPath);
+      return res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      Logger.failure('copyFile', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.delete('/files/*path',
+  verifyFirebaseToken(),
+  ...commonValidations.storage,
+  validateStoragePath,
+  authorizeStorage(req => [req.params.path]),
+  logFirebaseOperation('deleteFile'),
+  async (req, res) => {
+    try {
+      const { path } = req.params;
+
+      const result = await storageService.deleteFile(path);
+      return res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      Logger.failure('deleteFile', error, req.firebaseContext);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.get('/info',
+  async (req, res) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        service: 'Firebase Storage API',
+        version: '1.0.0',
+        limits: {
+          maxUploadBytes: MAX_UPLOAD_BYTES
+        },
+        endpoints: {
+          upload: 'POST /upload (multipart: file, remotePath, options)',
+          list: 'GET /files?prefix= (defaults to users/{uid}/)',
+          download: 'GET /download/*path',
+          metadata: 'GET /metadata/*path',
+          updateMetadata: 'PATCH /metadata/*path',
+          signedUrl: 'GET /url/*path',
+          copy: 'POST /copy',
+          delete: 'DELETE /files/*path',
+          info: 'GET /info'
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+module.exports = router;
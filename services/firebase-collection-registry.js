@@ -0,0 +1,144 @@
+const Joi = require('joi');
+const collectionConfig = require('../config/firestore-collections');
+
+const orderBySchema = Joi.object({
+  field: Joi.string().required(),
+  direction: Joi.string().valid('asc', 'desc').default('asc')
+});
+
+const referenceSchema = Joi.object({
+  collection: Joi.string().required(),
+  onDelete: Joi.string().valid('cascade', 'restrict', 'nullify').required()
+});
+
+const settingsSchema = Joi.object({
+  orderBy: orderBySchema.optional(),
+  searchFields: Joi.alternatives().try(
+    Joi.object().pattern(Joi.string(), Joi.number().positive()).min(1),
+    Joi.boolean().valid(false)
+  ).optional(),
+  softDelete: Joi.boolean().optional(),
+  maxDocumentBytes: Joi.number().integer().min(1).max(1024 * 1024).optional(),
+  retentionDays: Joi.alternatives().try(
+    Joi.number().integer().min(1),
+    Joi.boolean().valid(false)
+  ).optional(),
+  references: Joi.object().pattern(Joi.string(), referenceSchema).optional(),
+  onParentDelete: Joi.string().valid('cascade', 'restrict').optional()
+});
+
+const configSchema = Joi.object({
+  defaults: settingsSchema.keys({
+    orderBy: orderBySchema.required(),
+    softDelete: Joi.boolean().required(),
+    maxDocumentBytes: settingsSchema.extract('maxDocumentBytes').required(),
+    references: Joi.forbidden(),
+    onParentDelete: Joi.forbidden()
+  }).required(),
+  collections: Joi.object().pattern(Joi.string(), settingsSchema).default({})
+});
+
+const isWildcard = segment => /^\{[^/]+\}$/.test(segment);
+
+class CollectionRegistry {
+  constructor(config) {
+    const { error, value } = configSchema.validate(config, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid Firestore collection registry: ${error.message}`);
+    }
+
+    this.defaults = value.defaults;
+    this.entries = Object.entries(value.collections).map(([pattern, settings]) => ({
+      pattern,
+      segments: pattern.split('/'),
+      settings
+    }));
+
+    this.entries.forEach(({ pattern, segments, settings }) => {
+      if (settings.references && segments.some(isWildcard)) {
+        throw new Error(`Invalid Firestore collection registry: '${pattern}' cannot declare references from a wildcard path`);
+      }
+      if (settings.onParentDelete && segments.length === 1) {
+        throw new Error(`Invalid Firestore collection registry: '${pattern}' has no parent document for onParentDelete`);
+      }
+    });
+  }
+
+  matchesPattern(segments, collection) {
+    const parts = collection.split('/');
+    return segments.length === parts.length &&
+      segments.every((segment, index) => segment === parts[index] || isWildcard(segment));
+  }
+
+  find(collection) {
+    return this.entries.find(({ segments }) => this.matchesPattern(segments, collection)) || null;
+  }
+
+  // A collection group is exposed when any registered path ends in that collection id
+  has(collection, { collectionGroup = false } = {}) {
+    if (collectionGroup) {
+      return this.entries.some(({ segments }) => segments[segments.length - 1] === collection);
+    }
+    return this.find(collection) !== null;
+  }
+
+  resolve({ pattern, settings }) {
+    return {
+      collection: pattern,
+      ...this.defaults,
+      ...settings
+    };
+  }
+
+  get(collection) {
+    const entry = this.find(collection);
+    return entry ? this.resolve(entry) : null;
+  }
+
+  orderBy(collection) {
+    return (this.get(collection) || this.defaults).orderBy;
+  }
+
+  // Search index documents are keyed by collection id, so nested collections are never indexed
+  searchFields(collection) {
+    if (collection.includes('/')) return null;
+
+    const settings = this.get(collection);
+    return settings && settings.searchFields ? settings.searchFields : null;
+  }
+
+  isSoftDelete(collection) {
+    return (this.get(collection) || this.defaults).softDelete;
+  }
+
+  maxDocumentBytes(collection) {
+    return (this.get(collection) || this.defaults).maxDocumentBytes;
+  }
+
+  retentionDays(collection) {
+    const settings = this.get(collection);
+    if (!settings || !settings.softDelete || !settings.retentionDays) return null;
+    return settings.retentionDays;
+  }
+
+  // Relationships pointing at a document, resolved to the concrete collections holding its dependents.
+  // Subcollections depend on the document they live under; referencing fields hold the document id.
+  dependentsOf(collection, docId) {
+    const path = `${collection}/${docId}`;
+
+    return this.entries.flatMap(({ pattern, segments, settings }) => [
+      ...(settings.onParentDelete && this.matchesPattern(segments.slice(0, -1), path)
+        ? [{ collection: `${path}/${segments[segments.length - 1]}`, field: null, onDelete: settings.onParentDelete }]
+        : []),
+      ...Object.entries(settings.references || {})
+        .filter(([, reference]) => this.matchesPattern(reference.collection.split('/'), collection))
+        .map(([field, { onDelete }]) => ({ collection: pattern, field, onDelete }))
+    ]);
+  }
+
+  list() {
+    return this.entries.map(entry => this.resolve(entry));
+  }
+}
+
+module.exports = new CollectionRegistry(collectionConfig);
@@ -1,11 +1,35 @@
+const { isDeepStrictEqual } = require('util');
 const { getFirestore, admin } = require('../config/firebase-admin');
 const Logger = require('../utils/firebase-logger');
 const { FirebaseResponse, FirebaseResponses } = require('../utils/firebase-response');
+const FirebaseCursor = require('../utils/firebase-cursor');
+const FirebaseGeo = require('../utils/firebase-geo');
+const FirebaseETag = require('../utils/firebase-etag');
+const FirebasePatch = require('../utils/firebase-patch');
+const FirebaseSerializer = require('../utils/firebase-serializer');
+const searchIndexService = require('./firebase-search');
+const schemaRegistry = require('./firebase-schema-registry');
+const collectionRegistry = require('./firebase-collection-registry');
+const hookRegistry = require('./firebase-hook-registry');
+const retentionConfig = require('../config/firestore-retention');
+const { FirebaseSchemas } = require('../middleware/firebase-validation');
+
+const VERSIONS_COLLECTION = '_versions';
+const BULK_RETRY_CODES = [4, 8, 10, 14];
+const IMPORT_MAX_ERRORS = 1000;
+const COUNTERS_COLLECTION = '_counters';
+const DEFAULT_COUNTER_SHARDS = 10;
+const DEPENDENT_BATCH_SIZE = 200;
+const DEPENDENT_PAGE_SIZE = 500;
+const MAX_DEPENDENT_WRITES = 5000;
+const WATCH_MAX_WINDOW = 1000;
+const NEARBY_MAX_CANDIDATES = 2000;
 
 class FirestoreService {
   constructor() {
     this.db = null;
     this.initialized = false;
+    this.counterShards = new Map();
   }
 
   initialize() {
@@ -21,6 +45,10 @@ class FirestoreService {
     }
   }
 
+  registerHook(collection, event, handler) {
+    return hookRegistry.register(collection, event, handler);
+  }
+
   async createDocument(collection, data, docId = null, userId = null) {
     const startTime = Date.now();
     
@@ -31,21 +59,47 @@ class FirestoreService {
         dataKeys: Object.keys(data),
         userId 
       });
+
+      const validation = schemaRegistry.validate(collection, data);
+      if (validation.errors) {
+        return FirebaseResponse.validation(validation.errors, `Document does not match the '${collection}' schema`);
+      }
+
+      const docRef = docId
+        ? this.db.collection(collection).doc(docId)
+        : this.db.collection(collection).doc();
+
+      const hooked = await hookRegistry.runBefore('beforeCreate', {
+        collection,
+        id: docRef.id,
+        data: validation.value,
+        userId
+      });
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
+      data = hooked.value;
       
       const docData = {
         ...data,
+        ...this.geoFields(data),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         ...(userId && { createdBy: userId })
       };
 
-      let docRef;
-      if (docId) {
-        docRef = this.db.collection(collection).doc(docId);
-        await docRef.set(docData);
-      } else {
-        docRef = await this.db.collection(collection).add(docData);
-      }
+      // A client-chosen id must not replace someone else's document
+      const writeResult = await docRef.create(docData);
+
+      await searchIndexService.indexDocument(collection, docRef.id, data);
+      await hookRegistry.runAfter('afterWrite', {
+        collection,
+        id: docRef.id,
+        operation: 'create',
+        data,
+        previous: null,
+        userId
+      });
 
       const timing = Date.now() - startTime;
       
@@ -54,41 +108,52 @@ class FirestoreService {
         documentId: docRef.id 
       }, timing);
 
+      // The server timestamps resolve to the commit time, so report that instead of the sentinels
       return FirebaseResponses.document.created({
         id: docRef.id,
-        ...docData
+        ...docData,
+        createdAt: writeResult.writeTime,
+        updatedAt: writeResult.writeTime
       }, timing);
       
     } catch (error) {
       const timing = Date.now() - startTime;
+      if (error.code === 6) {
+        error = Object.assign(new Error(`Document '${collection}/${docId}' already exists`), { code: 'ALREADY_EXISTS' });
+      }
       Logger.failure('createDocument', error, { collection, docId, timing });
       return FirebaseResponse.error(error, 'createDocument', { collection, docId }, timing);
     }
   }
 
-  async getDocument(collection, docId) {
+  async getDocument(collection, docId, options = {}) {
     const startTime = Date.now();
     
     try {
       this.initialize();
+
+      const { fields = null, expand = [], authorizeRead = null } = options;
       
-      Logger.firestore('read', collection, docId);
+      Logger.firestore('read', collection, docId, { fields, expand });
       
       const docRef = this.db.collection(collection).doc(docId);
-      const doc = await docRef.get();
-
-      const timing = Date.now() - startTime;
+      const [doc] = fields
+        ? await this.db.getAll(docRef, { fieldMask: [...new Set([...fields, ...expand])] })
+        : [await docRef.get()];
 
       if (!doc.exists) {
+        const timing = Date.now() - startTime;
         Logger.warn('Document not found', { collection, docId, timing });
         return FirebaseResponses.document.notFound(collection, docId);
       }
 
-      const data = { id: doc.id, ...doc.data() };
+      const [data] = await this.expandReferences([{ id: doc.id, ...doc.data() }], expand, authorizeRead);
+
+      const timing = Date.now() - startTime;
       
       Logger.success('getDocument', { collection, docId }, timing);
 
-      return FirebaseResponses.document.retrieved(data, timing);
+      return FirebaseResponses.document.retrieved(data, timing, this.versionMeta(doc));
       
     } catch (error) {
       const timing = Date.now() - startTime;
@@ -97,8 +162,61 @@ class FirestoreService {
     }
   }
 
-  async updateDocument(collection, docId, data, userId = null) {
+  async batchGetDocuments(targets, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      const { fields = null, expand = [], includePath = false, authorizeRead = null } = options;
+
+      Logger.firestore('batchGet', includePath ? 'multiple' : targets[0]?.collection, null, {
+        count: targets.length,
+        fields,
+        expand
+      });
+
+      const refs = targets.map(({ collection, id }) => this.db.collection(collection).doc(id));
+      const snapshots = await this.db.getAll(
+        ...refs,
+        ...(fields ? [{ fieldMask: [...new Set([...fields, ...expand])] }] : [])
+      );
+
+      const found = snapshots
+        .filter(doc => doc.exists)
+        .map(doc => ({
+          id: doc.id,
+          ...(includePath && { _path: doc.ref.path }),
+          ...doc.data()
+        }));
+      const expanded = await this.expandReferences(found, expand, authorizeRead);
+
+      let position = 0;
+      const documents = snapshots.map(doc => (doc.exists ? expanded[position++] : null));
+      const missing = snapshots
+        .filter(doc => !doc.exists)
+        .map(doc => (includePath ? doc.ref.path : doc.id));
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('batchGetDocuments', { requested: targets.length, missing: missing.length }, timing);
+
+      return FirebaseResponse.success({
+        documents,
+        found: found.length,
+        missing
+      }, 'Documents retrieved successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('batchGetDocuments', error, { count: targets.length, timing });
+      return FirebaseResponse.error(error, 'batchGetDocuments', { count: targets.length }, timing);
+    }
+  }
+
+  async updateDocument(collection, docId, data, userId = null, options = {}) {
     const startTime = Date.now();
+    const { ifMatch = null } = options;
     
     try {
       this.initialize();
@@ -107,328 +225,2427 @@ class FirestoreService {
         updateKeys: Object.keys(data),
         userId 
       });
+
+      const validation = schemaRegistry.validate(collection, data, { partial: true });
+      if (validation.errors) {
+        return FirebaseResponse.validation(validation.errors, `Update does not match the '${collection}' schema`);
+      }
+      data = validation.value;
       
       const docRef = this.db.collection(collection).doc(docId);
       
       const doc = await docRef.get();
+      const precondition = this.checkPrecondition(doc, ifMatch);
       if (!doc.exists) {
         const timing = Date.now() - startTime;
         return FirebaseResponses.document.notFound(collection, docId);
       }
 
+      const hooked = await hookRegistry.runBefore('beforeUpdate', {
+        collection,
+        id: docId,
+        data,
+        previous: doc.data(),
+        userId
+      });
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
+      data = hooked.value;
+
       const updateData = {
         ...data,
+        ...this.geoFields(data, doc.data()),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         ...(userId && { updatedBy: userId })
       };
 
-      await docRef.update(updateData);
+      await this.commitVersioned(docRef, 'update', userId, transaction => {
+        transaction.update(docRef, updateData, precondition);
+      });
 
       const timing = Date.now() - startTime;
       
       const updatedDoc = await docRef.get();
       const result = { id: updatedDoc.id, ...updatedDoc.data() };
+
+      await searchIndexService.indexDocument(collection, docId, updatedDoc.data());
+      await hookRegistry.runAfter('afterWrite', {
+        collection,
+        id: docId,
+        operation: 'update',
+        data,
+        previous: doc.data(),
+        userId
+      });
       
       Logger.success('updateDocument', { collection, docId }, timing);
 
-      return FirebaseResponses.document.updated(result, timing);
+      return FirebaseResponses.document.updated(result, timing, this.versionMeta(updatedDoc));
       
     } catch (error) {
       const timing = Date.now() - startTime;
+      error = this.normalizePreconditionError(error, ifMatch);
       Logger.failure('updateDocument', error, { collection, docId, timing });
       return FirebaseResponse.error(error, 'updateDocument', { collection, docId }, timing);
     }
   }
 
-  async deleteDocument(collection, docId, hardDelete = false, userId = null) {
+  async patchDocument(collection, docId, operations, userId = null, options = {}) {
+    const startTime = Date.now();
+    const { upsert = false, ifMatch = null } = options;
+
+    try {
+      this.initialize();
+
+      Logger.firestore('patch', collection, docId, {
+        paths: operations.map(({ path }) => path.join('.')),
+        upsert,
+        userId
+      });
+
+      const conflict = FirebasePatch.findConflict(operations);
+      if (conflict) {
+        return FirebaseResponse.validation([{
+          field: conflict[1].join('.'),
+          message: `"${conflict[1].join('.')}" overlaps with "${conflict[0].join('.')}"`,
+          type: 'patch.conflict'
+        }], 'Patch contains overlapping field paths');
+      }
+
+      const docRef = this.db.collection(collection).doc(docId);
+
+      const doc = await docRef.get();
+      const precondition = this.checkPrecondition(doc, ifMatch);
+      if (!doc.exists && !upsert) {
+        return FirebaseResponses.document.notFound(collection, docId);
+      }
+
+      const current = doc.exists ? doc.data() : {};
+      const patched = FirebasePatch.apply(current, operations);
+      const touched = [...new Set(operations.map(({ path }) => path[0]))];
+
+      const validation = schemaRegistry.validate(collection, patched);
+      const errors = (validation.errors || [])
+        .filter(error => !doc.exists || touched.includes(error.field.split('.')[0]));
+      if (errors.length > 0) {
+        return FirebaseResponse.validation(errors, `Patch does not match the '${collection}' schema`);
+      }
+
+      const changes = Object.fromEntries(touched.map(key => [key, patched[key]]));
+
+      const hooked = await hookRegistry.runBefore(doc.exists ? 'beforeUpdate' : 'beforeCreate', {
+        collection,
+        id: docId,
+        data: changes,
+        previous: doc.exists ? current : null,
+        userId
+      });
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
+
+      // Fields a hook added or replaced are written whole, in place of the operations on them
+      const derived = Object.entries(hooked.value)
+        .filter(([key, value]) => !(key in changes) || changes[key] !== value);
+      operations = [
+        ...operations.filter(({ path }) => !derived.some(([key]) => key === path[0])),
+        ...derived.map(([key, value]) => (
+          value === undefined ? { op: 'remove', path: [key] } : { op: 'set', path: [key], value }
+        ))
+      ];
+
+      const metaFields = {
+        ...this.geoFields(hooked.value, doc.exists ? current : null),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(userId && { updatedBy: userId }),
+        ...(!doc.exists && {
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(userId && { createdBy: userId })
+        })
+      };
+
+      if (doc.exists) {
+        const fields = [
+          ...operations.flatMap(operation => [
+            FirebasePatch.toFieldPath(operation),
+            FirebasePatch.toFieldValue(operation)
+          ]),
+          ...Object.entries(metaFields).flat()
+        ];
+
+        await this.commitVersioned(docRef, 'patch', userId, transaction => {
+          transaction.update(docRef, ...fields, ...(Object.keys(precondition).length > 0 ? [precondition] : []));
+        });
+      } else {
+        await docRef.set({
+          ...FirebasePatch.toObject(operations),
+          ...metaFields
+        }, { merge: true });
+      }
+
+      const patchedDoc = await docRef.get();
+      await searchIndexService.indexDocument(collection, docId, patchedDoc.data());
+      await hookRegistry.runAfter('afterWrite', {
+        collection,
+        id: docId,
+        operation: doc.exists ? 'update' : 'create',
+        data: hooked.value,
+        previous: doc.exists ? current : null,
+        userId
+      });
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('patchDocument', { collection, docId, created: !doc.exists }, timing);
+
+      return FirebaseResponse.success({
+        id: patchedDoc.id,
+        ...patchedDoc.data()
+      }, doc.exists ? 'Document updated successfully' : 'Document created successfully', timing, {
+        ...this.versionMeta(patchedDoc),
+        created: !doc.exists
+      });
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      error = this.normalizePreconditionError(error, ifMatch);
+      Logger.failure('patchDocument', error, { collection, docId, timing });
+      return FirebaseResponse.error(error, 'patchDocument', { collection, docId }, timing);
+    }
+  }
+
+  async deleteDocument(collection, docId, hardDelete = false, userId = null, options = {}) {
     const startTime = Date.now();
+    const { ifMatch = null } = options;
     
     try {
       this.initialize();
       
+      hardDelete = hardDelete || !collectionRegistry.isSoftDelete(collection);
+
       Logger.firestore('delete', collection, docId, { hardDelete, userId });
       
       const docRef = this.db.collection(collection).doc(docId);
       
       const doc = await docRef.get();
+      const precondition = this.checkPrecondition(doc, ifMatch);
       if (!doc.exists) {
         const timing = Date.now() - startTime;
         return FirebaseResponses.document.notFound(collection, docId);
       }
 
+      const { writes: dependentWrites, restricted } = await this.planDependentWrites(collection, docId, hardDelete);
+      if (restricted.length > 0) {
+        return FirebaseResponse.error(
+          this.restrictedError(`${collection}/${docId}`, restricted),
+          'deleteDocument',
+          { collection, docId, restricted },
+          Date.now() - startTime
+        );
+      }
+
+      // Dependents that do not fit alongside the document are committed first, so a failure
+      // part-way leaves the document in place and the delete can be retried
+      const leading = dependentWrites.slice(0, Math.max(0, dependentWrites.length - DEPENDENT_BATCH_SIZE));
+      for (let offset = 0; offset < leading.length; offset += DEPENDENT_BATCH_SIZE) {
+        const dependentBatch = this.db.batch();
+        leading
+          .slice(offset, offset + DEPENDENT_BATCH_SIZE)
+          .forEach(write => this.applyDependentWrite(dependentBatch, write, userId));
+        await dependentBatch.commit();
+      }
+
+      await this.commitVersioned(docRef, hardDelete ? 'hardDelete' : 'delete', userId, transaction => {
+        dependentWrites.slice(leading.length).forEach(write => this.applyDependentWrite(transaction, write, userId));
+
+        if (hardDelete) {
+          transaction.delete(docRef, precondition);
+        } else {
+          transaction.update(docRef, {
+            deleted: true,
+            deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+            ...(userId && { deletedBy: userId })
+          }, precondition);
+        }
+      });
+
       if (hardDelete) {
-        await docRef.delete();
+        await searchIndexService.removeDocument(collection, docId);
       } else {
-        await docRef.update({
-          deleted: true,
-          deletedAt: admin.firestore.FieldValue.serverTimestamp(),
-          ...(userId && { deletedBy: userId })
-        });
+        await searchIndexService.markDeleted(collection, docId);
       }
 
+      await hookRegistry.runAfter('afterDelete', {
+        collection,
+        id: docId,
+        previous: doc.data(),
+        hardDelete,
+        userId
+      });
+      await this.finishDependentWrites(dependentWrites, userId);
+
       const timing = Date.now() - startTime;
       
-      Logger.success('deleteDocument', { collection, docId, hardDelete }, timing);
+      Logger.success('deleteDocument', { collection, docId, hardDelete, dependents: dependentWrites.length }, timing);
 
       return FirebaseResponses.document.deleted(docId, timing);
       
     } catch (error) {
       const timing = Date.now() - startTime;
+      error = this.normalizePreconditionError(error, ifMatch);
       Logger.failure('deleteDocument', error, { collection, docId, timing });
       return FirebaseResponse.error(error, 'deleteDocument', { collection, docId }, timing);
     }
   }
 
-  async queryDocuments(collection, options = {}) {
-    const startTime = Date.now();
-    
-    try {
-      this.initialize();
-      
-      const {
-        filters = [],
-        orderBy = null,
-        limit = 50,
-        startAfter = null,
-        includeDeleted = false
-      } = options;
-
-      Logger.firestore('query', collection, null, { 
-        filtersCount: filters.length,
-        orderBy,
-        limit 
-      });
-      
-      let query = this.db.collection(collection);
+  async *dependentDocs(query) {
+    let lastDoc = null;
 
-      if (!includeDeleted) {
-        query = query.where('deleted', '!=', true);
+    while (true) {
+      let page = query.orderBy(admin.firestore.FieldPath.documentId()).limit(DEPENDENT_PAGE_SIZE);
+      if (lastDoc) {
+        page = page.startAfter(lastDoc);
       }
 
-      filters.forEach(filter => {
-        const { field, operator, value } = filter;
-        query = query.where(field, operator, value);
-      });
+      const snapshot = await page.get();
+      yield* snapshot.docs;
 
-      if (orderBy) {
-        const { field, direction = 'asc' } = orderBy;
-        query = query.orderBy(field, direction);
-      }
+      if (snapshot.docs.length < DEPENDENT_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
 
-      if (limit) {
-        query = query.limit(limit);
-      }
+  // Walks the relationships pointing at a document. Cascaded dependents are followed in turn, and
+  // paths in `visited` (already planned, or deleted by the same batch) are left alone. Every planned
+  // write spends from `budget`; running out fails the plan with TOO_MANY_DEPENDENTS.
+  async planDependentWrites(collection, docId, hardDelete, visited = new Set(), budget = { remaining: MAX_DEPENDENT_WRITES }) {
+    const plan = { writes: [], restricted: [] };
+    const path = this.db.collection(collection).doc(docId).path;
+    visited.add(path);
 
-      if (startAfter) {
-        const startAfterDoc = await this.db.collection(collection).doc(startAfter).get();
-        if (startAfterDoc.exists) {
-          query = query.startAfter(startAfterDoc);
+    for (const { collection: dependentCollection, field, onDelete } of collectionRegistry.dependentsOf(collection, docId)) {
+      const query = field
+        ? this.db.collection(dependentCollection).where(field, '==', docId)
+        : this.db.collection(dependentCollection);
+
+      for await (const doc of this.dependentDocs(query)) {
+        // Soft-deleted dependents only matter once the document itself is removed for good
+        if (visited.has(doc.ref.path) || (!hardDelete && doc.get('deleted') === true)) continue;
+
+        // A single live dependent is enough to block the delete
+        if (onDelete === 'restrict') {
+          plan.restricted.push({ collection: dependentCollection, ...(field && { field }) });
+          break;
         }
+
+        budget.remaining -= 1;
+        if (budget.remaining < 0) {
+          const error = new Error(`Too many documents depend on '${path}' to update them in one request`);
+          error.code = 'TOO_MANY_DEPENDENTS';
+          throw error;
+        }
+
+        if (onDelete === 'nullify') {
+          plan.writes.push({ type: 'nullify', doc, field });
+          continue;
+        }
+
+        // Cascaded dependents are deleted the way deleteDocument would delete them
+        const dependentHardDelete = hardDelete || !collectionRegistry.isSoftDelete(dependentCollection);
+        plan.writes.push({ type: 'delete', doc, hardDelete: dependentHardDelete });
+
+        const nested = await this.planDependentWrites(dependentCollection, doc.id, dependentHardDelete, visited, budget);
+        plan.writes.push(...nested.writes);
+        plan.restricted.push(...nested.restricted);
       }
+    }
 
-      const snapshot = await query.get();
-      const documents = [];
+    return plan;
+  }
 
-      snapshot.forEach(doc => {
-        documents.push({ id: doc.id, ...doc.data() });
+  restrictedError(path, restricted) {
+    const collections = [...new Set(restricted.map(({ collection }) => `'${collection}'`))].join(', ');
+    const error = new Error(`Cannot delete '${path}' while documents in ${collections} depend on it`);
+    error.code = 'RESTRICTED';
+    return error;
+  }
+
+  applyDependentWrite(batch, { type, doc, field, hardDelete }, userId = null) {
+    if (type === 'nullify') {
+      this.recordVersion(batch, doc, 'update', userId);
+      batch.update(doc.ref, {
+        [field]: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(userId && { updatedBy: userId })
+      });
+    } else if (hardDelete) {
+      this.recordVersion(batch, doc, 'hardDelete', userId);
+      batch.delete(doc.ref);
+    } else {
+      this.recordVersion(batch, doc, 'delete', userId);
+      batch.update(doc.ref, {
+        deleted: true,
+        deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(userId && { deletedBy: userId })
       });
+    }
+  }
 
-      const timing = Date.now() - startTime;
-      
-      Logger.success('queryDocuments', { 
-        collection, 
-        count: documents.length 
-      }, timing);
+  async finishDependentWrites(writes, userId = null) {
+    for (const { type, doc, field, hardDelete } of writes) {
+      const collection = doc.ref.parent.path;
 
-      return FirebaseResponse.success({
-        documents,
-        count: documents.length,
-        hasMore: documents.length === limit,
-        lastDocument: documents.length > 0 ? documents[documents.length - 1].id : null
-      }, 'Documents queried successfully', timing, {
+      if (type === 'nullify') {
+        await hookRegistry.runAfter('afterWrite', {
+          collection,
+          id: doc.id,
+          operation: 'update',
+          data: { [field]: null },
+          previous: doc.data(),
+          userId
+        });
+        continue;
+      }
+
+      if (hardDelete) {
+        await searchIndexService.removeDocument(collection, doc.id);
+      } else {
+        await searchIndexService.markDeleted(collection, doc.id);
+      }
+      await hookRegistry.runAfter('afterDelete', {
         collection,
-        filters: filters.length,
-        orderBy
+        id: doc.id,
+        previous: doc.data(),
+        hardDelete,
+        userId
       });
-      
-    } catch (error) {
-      const timing = Date.now() - startTime;
-      Logger.failure('queryDocuments', error, { collection, options, timing });
-      return FirebaseResponse.error(error, 'queryDocuments', { collection, options }, timing);
     }
   }
 
-  async searchDocuments(collection, searchTerm, searchFields = ['name', 'title', 'description']) {
+  async restoreDocument(collection, docId, userId = null, options = {}) {
     const startTime = Date.now();
-    
+    const { ifMatch = null } = options;
+
     try {
       this.initialize();
-      
-      Logger.firestore('search', collection, null, { 
-        searchTerm,
-        searchFields 
-      });
 
-      const searchPromises = searchFields.map(async (field) => {
-        const query = this.db.collection(collection)
-          .where(field, '>=', searchTerm)
-          .where(field, '<=', searchTerm + '\uf8ff')
-          .where('deleted', '!=', true)
-          .limit(20);
+      Logger.firestore('restore', collection, docId, { userId });
 
-        const snapshot = await query.get();
-        const docs = [];
-        snapshot.forEach(doc => {
-          docs.push({ id: doc.id, ...doc.data() });
-        });
-        return docs;
+      const docRef = this.db.collection(collection).doc(docId);
+
+      const doc = await docRef.get();
+      const precondition = this.checkPrecondition(doc, ifMatch);
+      if (!doc.exists) {
+        return FirebaseResponses.document.notFound(collection, docId);
+      }
+
+      if (doc.get('deleted') !== true) {
+        const error = new Error(`Document '${collection}/${docId}' is not deleted`);
+        error.code = 'NOT_DELETED';
+        throw error;
+      }
+
+      const hooked = await hookRegistry.runBefore('beforeUpdate', {
+        collection,
+        id: docId,
+        data: { deleted: false },
+        previous: doc.data(),
+        userId
       });
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
 
-      const results = await Promise.all(searchPromises);
-      
-      const allDocs = results.flat();
-      const uniqueDocs = allDocs.filter((doc, index, self) => 
-        index === self.findIndex(d => d.id === doc.id)
-      );
+      await this.commitVersioned(docRef, 'undelete', userId, transaction => {
+        transaction.update(docRef, {
+          ...hooked.value,
+          deleted: false,
+          deletedAt: admin.firestore.FieldValue.delete(),
+          deletedBy: admin.firestore.FieldValue.delete(),
+          restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(userId && { updatedBy: userId, restoredBy: userId })
+        }, precondition);
+      });
 
-      const timing = Date.now() - startTime;
-      
-      Logger.success('searchDocuments', { 
+      await searchIndexService.markDeleted(collection, docId, false);
+      await hookRegistry.runAfter('afterWrite', {
         collection,
-        searchTerm,
-        resultsCount: uniqueDocs.length 
-      }, timing);
+        id: docId,
+        operation: 'restore',
+        data: hooked.value,
+        previous: doc.data(),
+        userId
+      });
+
+      const restoredDoc = await docRef.get();
+      const timing = Date.now() - startTime;
+
+      Logger.success('restoreDocument', { collection, docId }, timing);
 
       return FirebaseResponse.success({
-        documents: uniqueDocs,
-        count: uniqueDocs.length,
-        searchTerm,
-        searchFields
-      }, 'Search completed successfully', timing);
-      
+        id: restoredDoc.id,
+        ...restoredDoc.data()
+      }, 'Document restored successfully', timing, this.versionMeta(restoredDoc));
+
     } catch (error) {
       const timing = Date.now() - startTime;
-      Logger.failure('searchDocuments', error, { collection, searchTerm, timing });
-      return FirebaseResponse.error(error, 'searchDocuments', { collection, searchTerm }, timing);
+      error = this.normalizePreconditionError(error, ifMatch);
+      Logger.failure('restoreDocument', error, { collection, docId, timing });
+      return FirebaseResponse.error(error, 'restoreDocument', { collection, docId }, timing);
     }
   }
 
-  async batchOperations(operations) {
+  async listTrash(collection, options = {}) {
+    const { filters = [], ...pagination } = options;
+
+    return this.queryDocuments(collection, {
+      ...pagination,
+      filters: [{ field: 'deleted', operator: '==', value: true }, ...filters],
+      orderBy: { field: 'deletedAt', direction: 'desc' },
+      includeDeleted: true
+    });
+  }
+
+  getRetentionDays(collection) {
+    return collectionRegistry.retentionDays(collection);
+  }
+
+  retentionCutoff(retentionDays) {
+    return admin.firestore.Timestamp.fromMillis(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Nested collections have one concrete path per parent document, so the ones holding expired
+  // documents are found through their collection group and kept when they match the registered path
+  async expiredNestedCollections() {
+    const paths = new Set();
+
+    for (const { collection: pattern } of collectionRegistry.list()) {
+      const segments = pattern.split('/');
+      const retentionDays = this.getRetentionDays(pattern);
+      if (segments.length === 1 || !retentionDays) continue;
+
+      const query = this.db.collectionGroup(segments[segments.length - 1])
+        .where('deleted', '==', true)
+        .where('deletedAt', '<=', this.retentionCutoff(retentionDays))
+        .orderBy('deletedAt')
+        .select();
+      let lastDoc = null;
+
+      while (true) {
+        let page = query.limit(retentionConfig.purgeBatchSize);
+        if (lastDoc) {
+          page = page.startAfter(lastDoc);
+        }
+
+        const snapshot = await page.get();
+        snapshot.docs
+          .map(doc => doc.ref.parent.path)
+          .filter(path => collectionRegistry.matchesPattern(segments, path))
+          .forEach(path => paths.add(path));
+
+        if (snapshot.docs.length < retentionConfig.purgeBatchSize) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+    }
+
+    return [...paths];
+  }
+
+  async purgeDeletedDocuments(collection, options = {}) {
     const startTime = Date.now();
-    
+
     try {
       this.initialize();
-      
-      Logger.firestore('batch', 'multiple', null, { 
-        operationsCount: operations.length 
-      });
 
-      const batch = this.db.batch();
-      const results = [];
+      const { dryRun = false } = options;
+      const retentionDays = options.retentionDays || this.getRetentionDays(collection);
 
-      operations.forEach((operation, index) => {
-        const { type, collection, id, data } = operation;
+      if (!retentionDays) {
+        const error = new Error(`Collection '${collection}' has no trash retention in the collection registry`);
+        error.code = 'PURGE_DISABLED';
+        throw error;
+      }
 
-        try {
-          switch (type) {
-            case 'create':
-              const newDocRef = this.db.collection(collection).doc();
-              const createData = {
+      const cutoff = this.retentionCutoff(retentionDays);
+
+      Logger.firestore('purge', collection, null, { retentionDays, dryRun });
+
+      const query = this.db.collection(collection)
+        .where('deleted', '==', true)
+        .where('deletedAt', '<=', cutoff)
+        .orderBy('deletedAt');
+
+      let purged = 0;
+      const skipped = [];
+      let lastDoc = null;
+
+      // A dry run plans relationships the same way, so it reports what the real run would skip
+      while (true) {
+        let page = query.limit(retentionConfig.purgeBatchSize);
+        if (lastDoc) {
+          page = page.startAfter(lastDoc);
+        }
+
+        const snapshot = await page.get();
+        if (snapshot.empty) break;
+
+        // Relationships apply as they do to deleteDocument; restricted documents stay in the trash
+        const visited = new Set(snapshot.docs.map(doc => doc.ref.path));
+        const docs = [];
+        const dependentWrites = [];
+        for (const doc of snapshot.docs) {
+          try {
+            const plan = await this.planDependentWrites(collection, doc.id, true, visited);
+            if (plan.restricted.length > 0) {
+              skipped.push({ id: doc.id, code: 'RESTRICTED', restricted: plan.restricted });
+              continue;
+            }
+            docs.push(doc);
+            dependentWrites.push(...plan.writes);
+          } catch (error) {
+            if (error.code !== 'TOO_MANY_DEPENDENTS') throw error;
+            skipped.push({ id: doc.id, code: error.code });
+          }
+        }
+
+        if (!dryRun) {
+          const nullified = dependentWrites.filter(({ type }) => type === 'nullify');
+          for (let offset = 0; offset < nullified.length; offset += DEPENDENT_BATCH_SIZE) {
+            const dependentBatch = this.db.batch();
+            nullified
+              .slice(offset, offset + DEPENDENT_BATCH_SIZE)
+              .forEach(write => this.applyDependentWrite(dependentBatch, write));
+            await dependentBatch.commit();
+          }
+
+          // Version history holds full copies of the data, so it goes with the document
+          const removed = [...dependentWrites.filter(({ type }) => type === 'delete').map(({ doc }) => doc), ...docs];
+          const bulkWriter = this.db.bulkWriter();
+          try {
+            await Promise.all(removed.map(doc => this.db.recursiveDelete(doc.ref, bulkWriter)));
+          } finally {
+            await bulkWriter.close();
+          }
+
+          for (const doc of docs) {
+            await searchIndexService.removeDocument(collection, doc.id);
+            await hookRegistry.runAfter('afterDelete', {
+              collection,
+              id: doc.id,
+              previous: doc.data(),
+              hardDelete: true,
+              userId: null
+            });
+          }
+          await this.finishDependentWrites(dependentWrites);
+        }
+
+        purged += docs.length;
+        if (snapshot.docs.length < retentionConfig.purgeBatchSize) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('purgeDeletedDocuments', { collection, purged, dryRun }, timing);
+
+      return FirebaseResponse.success({
+        collection,
+        retentionDays,
+        cutoff: cutoff.toDate().toISOString(),
+        purged,
+        ...(skipped.length > 0 && { skipped }),
+        dryRun
+      }, dryRun ? 'Purge dry run completed' : 'Deleted documents purged successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('purgeDeletedDocuments', error, { collection, timing });
+      return FirebaseResponse.error(error, 'purgeDeletedDocuments', { collection }, timing);
+    }
+  }
+
+  async purgeAllDeletedDocuments(options = {}) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      const { dryRun = false } = options;
+
+      Logger.firestore('purgeAll', null, null, { dryRun });
+
+      const collections = [
+        ...(await this.db.listCollections())
+          .map(collectionRef => collectionRef.id)
+          .filter(collection => this.getRetentionDays(collection) !== null),
+        ...await this.expiredNestedCollections()
+      ];
+
+      const results = [];
+      for (const collection of collections) {
+        const result = await this.purgeDeletedDocuments(collection, { dryRun });
+        results.push({
+          collection,
+          success: result.success,
+          ...(result.success
+            ? {
+              purged: result.data.purged,
+              retentionDays: result.data.retentionDays,
+              ...(result.data.skipped && { skipped: result.data.skipped })
+            }
+            : { error: result.error })
+        });
+      }
+
+      const purged = results.reduce((sum, result) => sum + (result.purged || 0), 0);
+      const timing = Date.now() - startTime;
+
+      Logger.success('purgeAllDeletedDocuments', { collections: collections.length, purged, dryRun }, timing);
+
+      return FirebaseResponse.success({
+        collections: results,
+        purged,
+        dryRun
+      }, dryRun ? 'Purge dry run completed' : 'Deleted documents purged successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('purgeAllDeletedDocuments', error, { timing });
+      return FirebaseResponse.error(error, 'purgeAllDeletedDocuments', {}, timing);
+    }
+  }
+
+  // The version is read inside the transaction, so it holds exactly the state the write replaces
+  async commitVersioned(docRef, operation, userId, write) {
+    await this.db.runTransaction(async transaction => {
+      const current = await transaction.get(docRef);
+      this.recordVersion(transaction, current, operation, userId);
+      write(transaction);
+    });
+  }
+
+  recordVersion(batch, doc, operation, userId = null) {
+    if (!doc || !doc.exists) return null;
+
+    const versionRef = doc.ref.collection(VERSIONS_COLLECTION).doc();
+    batch.set(versionRef, {
+      data: doc.data(),
+      operation,
+      sourceUpdateTime: doc.updateTime || null,
+      capturedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(userId && { capturedBy: userId })
+    });
+
+    return versionRef.id;
+  }
+
+  async listVersions(collection, docId, limit = 50) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      Logger.firestore('listVersions', collection, docId, { limit });
+
+      const snapshot = await this.db.collection(collection).doc(docId)
+        .collection(VERSIONS_COLLECTION)
+        .orderBy('capturedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const versions = snapshot.docs.map(version => {
+        const { data, ...details } = version.data();
+        return { id: version.id, ...details, fields: Object.keys(data || {}) };
+      });
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('listVersions', { collection, docId, count: versions.length }, timing);
+
+      return FirebaseResponse.success({
+        collection,
+        docId,
+        versions,
+        count: versions.length
+      }, 'Document versions retrieved successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('listVersions', error, { collection, docId, timing });
+      return FirebaseResponse.error(error, 'listVersions', { collection, docId }, timing);
+    }
+  }
+
+  async getVersion(collection, docId, versionId) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      Logger.firestore('getVersion', collection, docId, { versionId });
+
+      const version = await this.db.collection(collection).doc(docId)
+        .collection(VERSIONS_COLLECTION).doc(versionId)
+        .get();
+
+      const timing = Date.now() - startTime;
+
+      if (!version.exists) {
+        return FirebaseResponse.notFound('Version', `${collection}/${docId}/${versionId}`);
+      }
+
+      Logger.success('getVersion', { collection, docId, versionId }, timing);
+
+      return FirebaseResponse.success({
+        id: version.id,
+        docId,
+        ...version.data()
+      }, 'Document version retrieved successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('getVersion', error, { collection, docId, versionId, timing });
+      return FirebaseResponse.error(error, 'getVersion', { collection, docId, versionId }, timing);
+    }
+  }
+
+  async restoreVersion(collection, docId, versionId, userId = null) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      Logger.firestore('restoreVersion', collection, docId, { versionId, userId });
+
+      const docRef = this.db.collection(collection).doc(docId);
+      const [doc, version] = await this.db.getAll(
+        docRef,
+        docRef.collection(VERSIONS_COLLECTION).doc(versionId)
+      );
+
+      if (!version.exists) {
+        return FirebaseResponse.notFound('Version', `${collection}/${docId}/${versionId}`);
+      }
+
+      const validation = schemaRegistry.validate(collection, version.get('data') || {});
+      if (validation.errors) {
+        return FirebaseResponse.validation(validation.errors, `Version '${versionId}' does not match the current '${collection}' schema`);
+      }
+
+      const previous = doc.exists ? doc.data() : null;
+      const hooked = await hookRegistry.runBefore(doc.exists ? 'beforeUpdate' : 'beforeCreate', {
+        collection,
+        id: docId,
+        data: validation.value,
+        previous,
+        userId
+      });
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
+
+      const restoredData = {
+        ...hooked.value,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        restoredFrom: versionId,
+        ...(userId && { updatedBy: userId })
+      };
+
+      await this.commitVersioned(docRef, 'restore', userId, transaction => {
+        transaction.set(docRef, restoredData);
+      });
+
+      const restoredDoc = await docRef.get();
+      await searchIndexService.indexDocument(collection, docId, restoredDoc.data());
+      await hookRegistry.runAfter('afterWrite', {
+        collection,
+        id: docId,
+        operation: 'restore',
+        data: hooked.value,
+        previous,
+        userId
+      });
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('restoreVersion', { collection, docId, versionId }, timing);
+
+      return FirebaseResponse.success({
+        id: restoredDoc.id,
+        ...restoredDoc.data()
+      }, 'Document version restored successfully', timing, this.versionMeta(restoredDoc));
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('restoreVersion', error, { collection, docId, versionId, timing });
+      return FirebaseResponse.error(error, 'restoreVersion', { collection, docId, versionId }, timing);
+    }
+  }
+
+  versionMeta(doc) {
+    return {
+      etag: FirebaseETag.fromUpdateTime(doc.updateTime),
+      updateTime: doc.updateTime ? doc.updateTime.toDate().toISOString() : null
+    };
+  }
+
+  // Runs before the existence check: a missing document has no ETag, so If-Match fails with 412 (RFC 7232)
+  checkPrecondition(doc, ifMatch) {
+    if (!ifMatch) return {};
+
+    const etag = FirebaseETag.fromUpdateTime(doc.updateTime);
+    if (!FirebaseETag.matches(ifMatch, etag)) {
+      throw FirebaseETag.preconditionFailed();
+    }
+
+    return FirebaseETag.parseHeader(ifMatch).includes('*')
+      ? { exists: true }
+      : { lastUpdateTime: doc.updateTime };
+  }
+
+  normalizePreconditionError(error, ifMatch) {
+    if (ifMatch && (error.code === 9 || error.code === 'failed-precondition')) {
+      return FirebaseETag.preconditionFailed();
+    }
+    return error;
+  }
+
+  // Documents are live unless `deleted` is true. A '!=' filter would also drop documents that have no
+  // `deleted` field, so soft-deleted documents are left out after the read with isVisible instead.
+  isVisible(doc, includeDeleted = false) {
+    return includeDeleted || doc.get('deleted') !== true;
+  }
+
+  buildQuery(collection, { filters = [], orderBy = null, collectionGroup = false } = {}) {
+    this.initialize();
+
+    let query = collectionGroup ? this.db.collectionGroup(collection) : this.db.collection(collection);
+
+    filters.forEach(filter => {
+      const { field, operator, value } = filter;
+      query = query.where(field, operator, value);
+    });
+
+    if (orderBy) {
+      const { field, direction = 'asc' } = orderBy;
+      query = query.orderBy(field, direction);
+    }
+
+    return query;
+  }
+
+  async queryDocuments(collection, options = {}) {
+    const startTime = Date.now();
+    
+    try {
+      this.initialize();
+      
+      const {
+        filters = [],
+        orderBy = null,
+        limit = 50,
+        startAfter = null,
+        endBefore = null,
+        includeDeleted = false,
+        collectionGroup = false,
+        fields = null,
+        expand = [],
+        authorizeRead = null
+      } = options;
+
+      Logger.firestore('query', collection, null, { 
+        filtersCount: filters.length,
+        orderBy,
+        limit,
+        direction: endBefore ? 'backward' : 'forward',
+        collectionGroup,
+        fields,
+        expand
+      });
+
+      const fingerprint = FirebaseCursor.fingerprint({ collection, filters, orderBy, includeDeleted, collectionGroup });
+      
+      let query = this.buildQuery(collection, { filters, orderBy, collectionGroup })
+        .orderBy(admin.firestore.FieldPath.documentId(), orderBy?.direction || 'asc');
+
+      if (startAfter) {
+        query = query.startAfter(...this.decodeCursor(startAfter, fingerprint));
+      } else if (endBefore) {
+        query = query.endBefore(...this.decodeCursor(endBefore, fingerprint));
+      }
+
+      if (fields) {
+        // The order-by field is needed to build cursors even when it is not requested
+        query = query.select(...new Set([...fields, ...expand, ...(orderBy ? [orderBy.field] : [])]));
+      }
+
+      // Hidden documents take up room in each read, so keep reading past them until the page is full
+      const wanted = limit + 1;
+      let docs = [];
+      let boundary = null;
+      while (docs.length < wanted) {
+        let pageQuery = query;
+        if (boundary) {
+          pageQuery = endBefore ? pageQuery.endBefore(boundary) : pageQuery.startAfter(boundary);
+        }
+
+        const snapshot = await (endBefore ? pageQuery.limitToLast(wanted) : pageQuery.limit(wanted)).get();
+        const visible = snapshot.docs.filter(doc => this.isVisible(doc, includeDeleted));
+        docs = endBefore ? [...visible, ...docs] : [...docs, ...visible];
+
+        if (snapshot.size < wanted) break;
+        boundary = endBefore ? snapshot.docs[0] : snapshot.docs[snapshot.size - 1];
+      }
+      docs = endBefore ? docs.slice(-wanted) : docs.slice(0, wanted);
+
+      const hasMore = docs.length > limit;
+      const page = hasMore
+        ? (endBefore ? docs.slice(1) : docs.slice(0, limit))
+        : docs;
+
+      const documents = await this.expandReferences(page.map(doc => ({
+        id: doc.id,
+        ...(collectionGroup && { _path: doc.ref.path }),
+        ...(fields ? this.projectFields(doc, [...fields, ...expand]) : doc.data())
+      })), expand, authorizeRead);
+      const first = page[0];
+      const last = page[page.length - 1];
+
+      const cursors = endBefore
+        ? {
+          next: last ? this.encodeCursor(last, orderBy, fingerprint, collectionGroup) : null,
+          prev: hasMore ? this.encodeCursor(first, orderBy, fingerprint, collectionGroup) : null
+        }
+        : {
+          next: hasMore ? this.encodeCursor(last, orderBy, fingerprint, collectionGroup) : null,
+          prev: startAfter && first ? this.encodeCursor(first, orderBy, fingerprint, collectionGroup) : null
+        };
+
+      const timing = Date.now() - startTime;
+      
+      Logger.success('queryDocuments', { 
+        collection, 
+        count: documents.length 
+      }, timing);
+
+      return FirebaseResponse.success({
+        documents,
+        count: documents.length,
+        hasMore,
+        lastDocument: last ? last.id : null,
+        cursors
+      }, 'Documents queried successfully', timing, {
+        collection,
+        filters: filters.length,
+        orderBy
+      });
+      
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('queryDocuments', error, { collection, options, timing });
+      return FirebaseResponse.error(error, 'queryDocuments', { collection, options }, timing);
+    }
+  }
+
+  projectFields(doc, fields) {
+    const data = {};
+
+    fields.forEach(field => {
+      const value = doc.get(field);
+      if (value !== undefined) {
+        FirebasePatch.assign(data, field.split('.'), value);
+      }
+    });
+
+    return data;
+  }
+
+  // Only documents in collections the API exposes count as references; anything else is plain data
+  toReference(value) {
+    let ref = null;
+
+    if (value instanceof admin.firestore.DocumentReference) {
+      ref = value;
+    } else if (typeof value === 'string') {
+      const segments = value.split('/');
+      if (segments.length % 2 === 0 && segments.every(segment => segment.length > 0)) {
+        ref = this.db.doc(value);
+      }
+    }
+
+    return ref && collectionRegistry.has(ref.parent.path) ? ref : null;
+  }
+
+  // authorizeRead(targets) resolves to one boolean per { collection, id } target. Targets that are
+  // denied, missing or soft-deleted are embedded as null.
+  async expandReferences(documents, expand = [], authorizeRead = null) {
+    if (expand.length === 0 || documents.length === 0) return documents;
+
+    const refs = new Map();
+    documents.forEach(document => {
+      expand.forEach(field => {
+        const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), document);
+        const values = Array.isArray(value) ? value : [value];
+
+        values.map(item => this.toReference(item)).filter(Boolean).forEach(ref => refs.set(ref.path, ref));
+      });
+    });
+
+    if (refs.size === 0) return documents;
+
+    const targets = [...refs.values()];
+    const allowed = authorizeRead
+      ? await authorizeRead(targets.map(ref => ({ collection: ref.parent.path, id: ref.id })))
+      : targets.map(() => true);
+    const readable = targets.filter((ref, index) => allowed[index]);
+
+    const embedded = new Map(targets.map(ref => [ref.path, null]));
+    const snapshots = readable.length > 0 ? await this.db.getAll(...readable) : [];
+    snapshots
+      .filter(snapshot => snapshot.exists && snapshot.get('deleted') !== true)
+      .forEach(snapshot => {
+        embedded.set(snapshot.ref.path, { id: snapshot.id, _path: snapshot.ref.path, ...snapshot.data() });
+      });
+
+    const resolve = value => {
+      const ref = this.toReference(value);
+      return ref ? embedded.get(ref.path) : value;
+    };
+
+    return documents.map(document => {
+      const expanded = { ...document };
+
+      expand.forEach(field => {
+        const path = field.split('.');
+        const value = path.reduce((current, key) => (current == null ? undefined : current[key]), expanded);
+        if (value === undefined) return;
+
+        FirebasePatch.assign(expanded, path, Array.isArray(value) ? value.map(resolve) : resolve(value));
+      });
+
+      return expanded;
+    });
+  }
+
+  encodeCursor(doc, orderBy, fingerprint, collectionGroup = false) {
+    const values = orderBy ? [this.encodeCursorValue(doc.get(orderBy.field))] : [];
+    // Collection group queries order by the full document path rather than the bare ID
+    const id = collectionGroup ? doc.ref.path : doc.id;
+    return FirebaseCursor.encode({ q: fingerprint, v: values, id });
+  }
+
+  decodeCursor(token, fingerprint) {
+    const { v: values = [], id } = FirebaseCursor.decode(token, fingerprint);
+    return [...values.map(value => this.decodeCursorValue(value)), id];
+  }
+
+  encodeCursorValue(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+      return { $ts: [value.seconds, value.nanoseconds] };
+    }
+    if (value instanceof admin.firestore.GeoPoint) {
+      return { $geo: [value.latitude, value.longitude] };
+    }
+    if (value instanceof admin.firestore.DocumentReference) {
+      return { $ref: value.path };
+    }
+    return value === undefined ? null : value;
+  }
+
+  decodeCursorValue(value) {
+    if (value && typeof value === 'object') {
+      if (value.$ts) return new admin.firestore.Timestamp(...value.$ts);
+      if (value.$geo) return new admin.firestore.GeoPoint(...value.$geo);
+      if (value.$ref) return this.db.doc(value.$ref);
+    }
+    return value;
+  }
+
+  watchQuery(collection, options = {}, callback) {
+    try {
+      this.initialize();
+
+      const {
+        filters = [],
+        orderBy = null,
+        limit = 50,
+        includeDeleted = false
+      } = options;
+
+      Logger.firestore('watch', collection, null, {
+        filtersCount: filters.length,
+        orderBy,
+        limit
+      });
+
+      const query = this.buildQuery(collection, { filters, orderBy });
+      const visible = doc => this.isVisible(doc, includeDeleted);
+
+      // What the subscriber has been sent, so changes are reported relative to its view
+      // rather than to the listener's window, which also holds hidden documents
+      const sent = new Map();
+      let listenLimit = limit;
+      let unsubscribe = () => {};
+
+      const onSnapshot = (snapshot) => {
+        const visibleDocs = snapshot.docs.filter(visible);
+
+        // Hidden documents take up room in the window; widen it until a full page is visible
+        if (limit && visibleDocs.length < limit && snapshot.size === listenLimit && listenLimit < WATCH_MAX_WINDOW) {
+          listenLimit = Math.min(listenLimit * 2, WATCH_MAX_WINDOW);
+          unsubscribe();
+          listen();
+          return;
+        }
+
+        const current = new Map(visibleDocs
+          .slice(0, limit || undefined)
+          .map((doc, index) => [doc.id, { doc, index }]));
+        const changes = [];
+
+        sent.forEach(({ index }, id) => {
+          if (current.has(id)) return;
+          changes.push({ type: 'removed', id, document: null, oldIndex: index, newIndex: -1 });
+          sent.delete(id);
+        });
+
+        current.forEach(({ doc, index }, id) => {
+          const previous = sent.get(id);
+          sent.set(id, { index, updateTime: doc.updateTime });
+
+          if (previous && previous.updateTime.isEqual(doc.updateTime)) return;
+          changes.push({
+            type: previous ? 'modified' : 'added',
+            id,
+            document: FirebaseSerializer.serialize({ id, ...doc.data() }),
+            oldIndex: previous ? previous.index : -1,
+            newIndex: index
+          });
+        });
+
+        Logger.firestore('snapshot', collection, null, {
+          changesCount: changes.length,
+          size: current.size
+        });
+
+        callback({
+          success: true,
+          collection,
+          changes,
+          size: current.size,
+          readTime: snapshot.readTime.toDate().toISOString()
+        });
+      };
+
+      const onError = (error) => {
+        Logger.failure('watchQuery', error, { collection, options });
+        callback({
+          success: false,
+          collection,
+          error: {
+            message: error.message,
+            code: error.code || 'LISTENER_ERROR'
+          },
+          timestamp: new Date().toISOString()
+        });
+      };
+
+      const listen = () => {
+        unsubscribe = (listenLimit ? query.limit(listenLimit) : query).onSnapshot(onSnapshot, onError);
+      };
+      listen();
+
+      Logger.success('watchQuery', { collection });
+
+      return {
+        success: true,
+        message: 'Listener attached successfully',
+        detach: () => {
+          unsubscribe();
+          Logger.firestore('detach', collection);
+          return FirebaseResponse.success({
+            collection,
+            detached: true
+          }, 'Listener detached successfully');
+        }
+      };
+
+    } catch (error) {
+      Logger.failure('watchQuery', error, { collection, options });
+      return FirebaseResponse.error(error, 'watchQuery', { collection, options });
+    }
+  }
+
+  geoFields(changes, current = null) {
+    if (current && !FirebaseGeo.touchesCoordinates(changes)) {
+      return {};
+    }
+
+    const coordinates = FirebaseGeo.extractCoordinates({ ...current, ...changes });
+
+    if (coordinates) {
+      return { [FirebaseGeo.GEOHASH_FIELD]: FirebaseGeo.geohash(coordinates) };
+    }
+
+    return current && current[FirebaseGeo.GEOHASH_FIELD]
+      ? { [FirebaseGeo.GEOHASH_FIELD]: admin.firestore.FieldValue.delete() }
+      : {};
+  }
+
+  async nearbyDocuments(collection, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      const {
+        center = null,
+        radius = null,
+        bounds = null,
+        filters = [],
+        limit = 50,
+        includeDeleted = false
+      } = options;
+
+      Logger.firestore('nearby', collection, null, {
+        center,
+        radius,
+        bounds,
+        filtersCount: filters.length,
+        limit
+      });
+
+      const area = bounds ? FirebaseGeo.boxToCircle(bounds) : { center, radius };
+      const baseQuery = this.buildQuery(collection, { filters });
+
+      // Candidate reads are capped across the geohash ranges; a range that hits its share may leave
+      // out closer documents, so the result is then marked approximate
+      const ranges = FirebaseGeo.queryBounds(area.center, area.radius);
+      const rangeLimit = Math.ceil(NEARBY_MAX_CANDIDATES / ranges.length);
+      const snapshots = await Promise.all(
+        ranges.map(([start, end]) => baseQuery
+          .orderBy(FirebaseGeo.GEOHASH_FIELD)
+          .startAt(start)
+          .endAt(end)
+          .limit(rangeLimit)
+          .get())
+      );
+      const truncated = snapshots.some(snapshot => snapshot.size >= rangeLimit);
+
+      const seen = new Set();
+      const matches = [];
+
+      snapshots.forEach(snapshot => {
+        snapshot.forEach(doc => {
+          if (seen.has(doc.id) || !this.isVisible(doc, includeDeleted)) return;
+          seen.add(doc.id);
+
+          const data = doc.data();
+          const coordinates = FirebaseGeo.extractCoordinates(data);
+          if (!coordinates) return;
+
+          const inside = bounds
+            ? FirebaseGeo.withinBox(coordinates, bounds)
+            : FirebaseGeo.distanceInMeters(area.center, coordinates) <= radius;
+          if (!inside) return;
+
+          matches.push({
+            id: doc.id,
+            ...data,
+            _distance: Math.round(FirebaseGeo.distanceInMeters(area.center, coordinates))
+          });
+        });
+      });
+
+      matches.sort((a, b) => a._distance - b._distance);
+      const documents = matches.slice(0, limit);
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('nearbyDocuments', {
+        collection,
+        candidates: seen.size,
+        count: documents.length,
+        truncated
+      }, timing);
+
+      return FirebaseResponse.success({
+        documents,
+        count: documents.length,
+        total: matches.length,
+        hasMore: matches.length > limit,
+        approximate: truncated,
+        center: area.center,
+        ...(bounds ? { bounds } : { radius })
+      }, 'Nearby documents retrieved successfully', timing, {
+        collection,
+        filters: filters.length
+      });
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('nearbyDocuments', error, { collection, options, timing });
+      return FirebaseResponse.error(error, 'nearbyDocuments', { collection }, timing);
+    }
+  }
+
+  async searchDocuments(collection, searchTerm, options = {}) {
+    const startTime = Date.now();
+    
+    try {
+      this.initialize();
+
+      const {
+        fields: searchFields = null,
+        page = 1,
+        limit = 20
+      } = options;
+      
+      Logger.firestore('search', collection, null, { 
+        searchTerm,
+        searchFields,
+        page,
+        limit
+      });
+
+      if (!searchIndexService.isIndexed(collection)) {
+        const error = new Error(`Collection '${collection}' is not configured for search`);
+        error.code = 'SEARCH_NOT_CONFIGURED';
+        throw error;
+      }
+
+      const { tokens, matches, truncated } = await searchIndexService.rank(collection, searchTerm, searchFields);
+
+      const offset = (page - 1) * limit;
+      const pageMatches = matches.slice(offset, offset + limit);
+
+      const refs = pageMatches.map(match => this.db.collection(collection).doc(match.id));
+      const snapshots = refs.length > 0 ? await this.db.getAll(...refs) : [];
+
+      const documents = [];
+      const scores = [];
+      snapshots.forEach((doc, index) => {
+        if (!doc.exists || doc.get('deleted') === true) return;
+
+        const { matched, score } = pageMatches[index];
+        documents.push({ id: doc.id, ...doc.data() });
+        scores.push({ id: doc.id, score, matched });
+      });
+
+      const timing = Date.now() - startTime;
+      
+      Logger.success('searchDocuments', { 
+        collection,
+        searchTerm,
+        resultsCount: documents.length,
+        total: matches.length,
+        truncated
+      }, timing);
+
+      return FirebaseResponse.success({
+        documents,
+        scores,
+        count: documents.length,
+        total: matches.length,
+        // With truncated candidates, ordering, total and pages only cover the ranked subset
+        approximate: truncated,
+        page,
+        limit,
+        hasMore: offset + limit < matches.length,
+        searchTerm,
+        searchTokens: tokens,
+        searchFields
+      }, 'Search completed successfully', timing);
+      
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('searchDocuments', error, { collection, searchTerm, timing });
+      return FirebaseResponse.error(error, 'searchDocuments', { collection, searchTerm }, timing);
+    }
+  }
+
+  async syncSearchIndex(results) {
+    const targets = results.filter(({ type, collection }) => (
+      (type === 'create' || type === 'update' || type === 'set') && searchIndexService.isIndexed(collection)
+    ));
+    const removals = results.filter(({ type }) => type === 'delete');
+
+    await Promise.all(removals.map(({ collection, id, hardDelete }) => (
+      hardDelete === false
+        ? searchIndexService.markDeleted(collection, id)
+        : searchIndexService.removeDocument(collection, id)
+    )));
+
+    if (targets.length === 0) return;
+
+    try {
+      const snapshots = await this.db.getAll(...targets.map(({ collection, id }) => this.db.collection(collection).doc(id)));
+
+      await Promise.all(snapshots.map((doc, index) => (
+        doc.exists ? searchIndexService.indexDocument(targets[index].collection, doc.id, doc.data()) : null
+      )));
+    } catch (error) {
+      Logger.warn('Search index sync failed after batch', { error: error.message, targets: targets.length });
+    }
+  }
+
+  async batchOperations(operations, userId = null) {
+    const startTime = Date.now();
+    
+    try {
+      this.initialize();
+      
+      Logger.firestore('batch', 'multiple', null, { 
+        operationsCount: operations.length,
+        userId
+      });
+
+      const schemaErrors = [];
+      operations = operations.map((operation, index) => {
+        if (operation.type !== 'create' && operation.type !== 'update') return operation;
+
+        const validation = schemaRegistry.validate(operation.collection, operation.data, {
+          partial: operation.type === 'update',
+          pathPrefix: `operations.${index}.data`
+        });
+
+        if (validation.errors) {
+          schemaErrors.push(...validation.errors);
+          return operation;
+        }
+        return { ...operation, data: validation.value };
+      });
+
+      if (schemaErrors.length > 0) {
+        return FirebaseResponse.validation(schemaErrors, 'Batch operations do not match collection schemas');
+      }
+
+      const versionRefs = operations
+        .filter(({ type }) => type === 'update' || type === 'delete')
+        .map(({ collection, id }) => this.db.collection(collection).doc(id));
+      const previousDocs = versionRefs.length > 0 ? await this.db.getAll(...versionRefs) : [];
+      const previousByPath = new Map(previousDocs.map(doc => [doc.ref.path, doc]));
+      const previousData = ({ collection, id }) => {
+        const previous = previousByPath.get(this.db.collection(collection).doc(id).path);
+        return previous && previous.exists ? previous.data() : null;
+      };
+
+      // Ids are assigned up front so hooks see the same id the document is written under
+      const hookErrors = [];
+      for (const [index, operation] of operations.entries()) {
+        if (operation.type !== 'create' && operation.type !== 'update') continue;
+
+        const id = operation.id || this.db.collection(operation.collection).doc().id;
+        const hooked = await hookRegistry.runBefore(operation.type === 'create' ? 'beforeCreate' : 'beforeUpdate', {
+          collection: operation.collection,
+          id,
+          data: operation.data,
+          previous: operation.type === 'update' ? previousData(operation) : null,
+          userId
+        });
+
+        if (hooked.errors) {
+          hookErrors.push(...hooked.errors.map(error => ({
+            ...error,
+            field: ['operations', index, 'data', error.field].filter(part => part !== undefined).join('.')
+          })));
+          continue;
+        }
+        operations[index] = { ...operation, id, data: hooked.value };
+      }
+
+      if (hookErrors.length > 0) {
+        return FirebaseResponse.validation(hookErrors, 'Batch operations were rejected by collection hooks');
+      }
+
+      // Batch deletes are hard deletes; documents the batch deletes itself are not dependents. The batch
+      // stays atomic, so its dependents must fit in one write batch alongside it.
+      const deletes = operations.filter(({ type }) => type === 'delete');
+      const visited = new Set(deletes.map(({ collection, id }) => this.db.collection(collection).doc(id).path));
+      const budget = { remaining: DEPENDENT_BATCH_SIZE };
+      const dependentWrites = [];
+      const restricted = [];
+      for (const operation of deletes) {
+        if (!previousData(operation)) continue;
+
+        const plan = await this.planDependentWrites(operation.collection, operation.id, true, visited, budget);
+        dependentWrites.push(...plan.writes);
+        if (plan.restricted.length > 0) {
+          restricted.push({
+            index: operations.indexOf(operation),
+            collection: operation.collection,
+            id: operation.id,
+            dependents: plan.restricted
+          });
+        }
+      }
+
+      if (restricted.length > 0) {
+        const [first] = restricted;
+        return FirebaseResponse.error(
+          this.restrictedError(`${first.collection}/${first.id}`, first.dependents),
+          'batchOperations',
+          { operationsCount: operations.length, restricted },
+          Date.now() - startTime
+        );
+      }
+
+      const batch = this.db.batch();
+      const results = [];
+
+      operations.forEach((operation, index) => {
+        const { type, collection, id, data } = operation;
+
+        try {
+          switch (type) {
+            case 'create':
+              const newDocRef = this.db.collection(collection).doc(id);
+              const createData = {
                 ...data,
+                ...this.geoFields(data),
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                ...(userId && { createdBy: userId })
+              };
+              batch.create(newDocRef, createData);
+              results.push({ 
+                success: true, 
+                type, 
+                collection, 
+                id: newDocRef.id,
+                index 
+              });
+              break;
+
+            case 'update':
+              const updateDocRef = this.db.collection(collection).doc(id);
+              const updateData = {
+                ...data,
+                ...this.geoFields(data, previousData(operation) || {}),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                ...(userId && { updatedBy: userId })
+              };
+              this.recordVersion(batch, previousByPath.get(updateDocRef.path), 'update', userId);
+              batch.update(updateDocRef, updateData);
+              results.push({ 
+                success: true, 
+                type, 
+                collection, 
+                id,
+                index 
+              });
+              break;
+
+            case 'delete':
+              const deleteDocRef = this.db.collection(collection).doc(id);
+              this.recordVersion(batch, previousByPath.get(deleteDocRef.path), 'hardDelete', userId);
+              batch.delete(deleteDocRef);
+              results.push({ 
+                success: true, 
+                type, 
+                collection, 
+                id,
+                index 
+              });
+              break;
+
+            default:
+              results.push({ 
+                success: false, 
+                error: `Invalid operation type: ${type}`,
+                index 
+              });
+          }
+        } catch (opError) {
+          results.push({ 
+            success: false, 
+            error: opError.message,
+            type,
+            collection,
+            id,
+            index 
+          });
+        }
+      });
+
+      dependentWrites.forEach(write => this.applyDependentWrite(batch, write, userId));
+
+      await batch.commit();
+      await this.syncSearchIndex(results.filter(result => result.success));
+
+      for (const { success, type, collection, id, index } of results) {
+        if (!success) continue;
+
+        const { data } = operations[index];
+        if (type === 'delete') {
+          await hookRegistry.runAfter('afterDelete', {
+            collection,
+            id,
+            previous: previousData(operations[index]),
+            hardDelete: true,
+            userId
+          });
+        } else {
+          await hookRegistry.runAfter('afterWrite', {
+            collection,
+            id,
+            operation: type,
+            data,
+            previous: type === 'update' ? previousData(operations[index]) : null,
+            userId
+          });
+        }
+      }
+      await this.finishDependentWrites(dependentWrites, userId);
+
+      const timing = Date.now() - startTime;
+      
+      Logger.success('batchOperations', { 
+        operationsCount: operations.length,
+        dependents: dependentWrites.length
+      }, timing);
+
+      return FirebaseResponse.batch(results, 'batch operations');
+      
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('batchOperations', error, { operationsCount: operations.length, timing });
+      return FirebaseResponse.error(error, 'batchOperations', { operationsCount: operations.length }, timing);
+    }
+  }
+
+  buildBulkWrite({ type, data = {}, merge = false }, previous, userId) {
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+    switch (type) {
+      case 'create':
+        return {
+          ...data,
+          ...this.geoFields(data),
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          ...(userId && { createdBy: userId })
+        };
+
+      case 'set': {
+        const created = previous.exists
+          ? {
+            createdAt: previous.get('createdAt') || timestamp,
+            ...(previous.get('createdBy') && { createdBy: previous.get('createdBy') })
+          }
+          : {
+            createdAt: timestamp,
+            ...(userId && { createdBy: userId })
+          };
+
+        const { createdBy, ...fields } = data;
+
+        return {
+          ...fields,
+          ...this.geoFields(fields, merge && previous.exists ? previous.data() : null),
+          ...(!(merge && previous.exists) && created),
+          updatedAt: timestamp,
+          ...(userId && { updatedBy: userId })
+        };
+      }
+
+      case 'update':
+        return {
+          ...data,
+          ...this.geoFields(data, previous.exists ? previous.data() : {}),
+          updatedAt: timestamp,
+          ...(userId && { updatedBy: userId })
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  async bulkWrite(operations, userId = null, options = {}) {
+    const startTime = Date.now();
+    const { chunkSize = 500, maxRetries = 3 } = options;
+    const results = [];
+    const chunks = [];
+
+    try {
+      this.initialize();
+
+      const chunkCount = Math.ceil(operations.length / chunkSize);
+
+      Logger.firestore('bulkWrite', 'multiple', null, {
+        operationsCount: operations.length,
+        chunkCount,
+        maxRetries,
+        userId
+      });
+
+      const bulkWriter = this.db.bulkWriter();
+      bulkWriter.onWriteError(error => (
+        BULK_RETRY_CODES.includes(error.code) && error.failedAttempts < maxRetries
+      ));
+
+      try {
+        for (let chunk = 0; chunk < chunkCount; chunk++) {
+          const offset = chunk * chunkSize;
+          const chunkOperations = operations.slice(offset, offset + chunkSize);
+
+          const refs = chunkOperations.map(({ collection, id }) => (
+            id ? this.db.collection(collection).doc(id) : this.db.collection(collection).doc()
+          ));
+          const previousRefs = chunkOperations
+            .map(({ type }, index) => (type === 'create' ? null : refs[index]))
+            .filter(Boolean);
+          const previousDocs = previousRefs.length > 0 ? await this.db.getAll(...previousRefs) : [];
+          const previousByPath = new Map(previousDocs.map(doc => [doc.ref.path, doc]));
+          const previousData = position => {
+            const previous = previousByPath.get(refs[position].path);
+            return previous && previous.exists ? previous.data() : null;
+          };
+
+          // Schema checks, before hooks and dependent writes finish ahead of the writes, so the whole chunk
+          // is enqueued before the flush. Dependents are committed before their delete, as in deleteDocument.
+          const rejections = new Map();
+          const dependentWrites = new Map();
+          const visited = new Set(refs
+            .filter((ref, position) => chunkOperations[position].type === 'delete')
+            .map(ref => ref.path));
+          for (const [position, operation] of chunkOperations.entries()) {
+            if (operation.type === 'delete' && previousData(position)) {
+              try {
+                const plan = await this.planDependentWrites(operation.collection, refs[position].id, true, visited);
+                if (plan.restricted.length > 0) {
+                  const error = this.restrictedError(refs[position].path, plan.restricted);
+                  rejections.set(position, { code: error.code, message: error.message, restricted: plan.restricted });
+                  continue;
+                }
+
+                for (let start = 0; start < plan.writes.length; start += DEPENDENT_BATCH_SIZE) {
+                  const dependentBatch = this.db.batch();
+                  plan.writes
+                    .slice(start, start + DEPENDENT_BATCH_SIZE)
+                    .forEach(write => this.applyDependentWrite(dependentBatch, write, userId));
+                  await dependentBatch.commit();
+                }
+                dependentWrites.set(position, plan.writes);
+              } catch (error) {
+                rejections.set(position, { code: error.code || 'INTERNAL', message: error.message });
+              }
+              continue;
+            }
+
+            if (!operation.data) continue;
+
+            const { type, collection, merge = false } = operation;
+            const index = offset + position;
+            const validation = schemaRegistry.validate(collection, operation.data, {
+              partial: type === 'update' || merge,
+              pathPrefix: `operations.${index}.data`
+            });
+
+            if (validation.errors) {
+              rejections.set(position, { code: 'VALIDATION_ERROR', message: 'Document does not match the collection schema', details: validation.errors });
+              continue;
+            }
+
+            const previous = previousData(position);
+            const hooked = await hookRegistry.runBefore(type === 'update' || previous ? 'beforeUpdate' : 'beforeCreate', {
+              collection,
+              id: refs[position].id,
+              data: validation.value,
+              previous,
+              userId
+            });
+
+            if (hooked.errors) {
+              rejections.set(position, { code: 'VALIDATION_ERROR', message: hooked.message, details: hooked.errors });
+              continue;
+            }
+            chunkOperations[position] = { ...operation, data: hooked.value };
+          }
+
+          const pending = chunkOperations.map((operation, position) => {
+            const { type, collection, merge = false } = operation;
+            const index = offset + position;
+            const ref = refs[position];
+            const previous = previousByPath.get(ref.path);
+            const result = {
+              type,
+              collection,
+              id: ref.id,
+              index,
+              chunk,
+              ...(type === 'set' && { merge })
+            };
+
+            if (rejections.has(position)) {
+              return Promise.resolve({ ...result, success: false, error: rejections.get(position) });
+            }
+
+            let write;
+            try {
+              const writeData = this.buildBulkWrite(operation, previous, userId);
+
+              write = type === 'create' ? bulkWriter.create(ref, writeData)
+                : type === 'set' ? bulkWriter.set(ref, writeData, { merge })
+                : type === 'update' ? bulkWriter.update(ref, writeData)
+                : bulkWriter.delete(ref);
+            } catch (opError) {
+              return Promise.resolve({
+                ...result,
+                success: false,
+                error: { code: opError.code || 'INVALID_ARGUMENT', message: opError.message }
+              });
+            }
+
+            // The version goes out with the write it belongs to and is withdrawn if that write fails
+            const versionRef = previous && previous.exists ? previous.ref.collection(VERSIONS_COLLECTION).doc() : null;
+            if (versionRef) {
+              bulkWriter.set(versionRef, {
+                data: previous.data(),
+                operation: type === 'delete' ? 'hardDelete' : type,
+                sourceUpdateTime: previous.updateTime || null,
+                capturedAt: admin.firestore.FieldValue.serverTimestamp(),
+                ...(userId && { capturedBy: userId })
+              }).catch(error => {
+                Logger.warn('Version capture failed during bulk write', { path: previous.ref.path, error: error.message });
+              });
+            }
+
+            return write.then(
+              writeResult => ({
+                ...result,
+                success: true,
+                writeTime: writeResult.writeTime.toDate().toISOString()
+              }),
+              error => ({
+                ...result,
+                success: false,
+                error: { code: error.code, message: error.message, attempts: error.failedAttempts },
+                versionRef
+              })
+            );
+          });
+
+          await bulkWriter.flush();
+          const chunkResults = await Promise.all(pending);
+
+          chunkResults
+            .filter(({ versionRef }) => versionRef)
+            .forEach(({ versionRef }) => {
+              bulkWriter.delete(versionRef).catch(error => {
+                Logger.warn('Version cleanup failed after bulk write', { path: versionRef.path, error: error.message });
+              });
+            });
+          await bulkWriter.flush();
+
+          const succeeded = chunkResults.filter(({ success }) => success);
+          await this.syncSearchIndex(succeeded);
+
+          for (const { type, collection, id, index } of succeeded) {
+            const previous = previousData(index - offset);
+
+            if (type === 'delete') {
+              await hookRegistry.runAfter('afterDelete', { collection, id, previous, hardDelete: true, userId });
+              await this.finishDependentWrites(dependentWrites.get(index - offset) || [], userId);
+            } else {
+              await hookRegistry.runAfter('afterWrite', {
+                collection,
+                id,
+                operation: type,
+                data: chunkOperations[index - offset].data,
+                previous,
+                userId
+              });
+            }
+          }
+
+          chunks.push({
+            chunk,
+            total: chunkResults.length,
+            successful: succeeded.length,
+            failed: chunkResults.length - succeeded.length
+          });
+          results.push(...chunkResults.map(({ versionRef, ...result }) => result));
+        }
+      } finally {
+        await bulkWriter.close();
+      }
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('bulkWrite', {
+        operationsCount: operations.length,
+        failed: results.filter(({ success }) => !success).length
+      }, timing);
+
+      return {
+        ...FirebaseResponse.batch(results, 'bulk write'),
+        chunks,
+        timing: { duration: timing, unit: 'ms' }
+      };
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('bulkWrite', error, { operationsCount: operations.length, completed: results.length, timing });
+
+      // Chunks that finished before the failure are committed, so their results are still reported
+      return {
+        ...FirebaseResponse.error(error, 'bulkWrite', { operationsCount: operations.length }, timing),
+        ...(results.length > 0 && { results: FirebaseSerializer.serialize(results), chunks })
+      };
+    }
+  }
+
+  async *streamCollection(collection, options = {}) {
+    this.initialize();
+
+    const { includeDeleted = false, pageSize = 500 } = options;
+    let lastDoc = null;
+
+    Logger.firestore('export', collection, null, { includeDeleted, pageSize });
+
+    while (true) {
+      let query = this.db.collection(collection)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        if (includeDeleted || doc.get('deleted') !== true) {
+          yield doc;
+        }
+      }
+
+      if (snapshot.docs.length < pageSize) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  async importDocuments(collection, records, userId = null, options = {}) {
+    const startTime = Date.now();
+    const { dryRun = false, mode = 'set', chunkSize = 500 } = options;
+
+    const report = { processed: 0, imported: 0, failed: 0, errors: [] };
+    const recordError = (row, id, error) => {
+      report.failed += 1;
+      if (report.errors.length < IMPORT_MAX_ERRORS) {
+        report.errors.push({ row, ...(id && { id }), ...error });
+      }
+    };
+
+    try {
+      this.initialize();
+
+      Logger.firestore('import', collection, null, { dryRun, mode, chunkSize, userId });
+
+      let chunk = [];
+
+      const flush = async () => {
+        if (chunk.length === 0) return;
+
+        const operations = chunk.map(({ id, data }) => ({
+          type: mode === 'create' || !id ? 'create' : 'set',
+          collection,
+          id,
+          data,
+          ...(mode === 'merge' && id && { merge: true })
+        }));
+
+        const result = await this.bulkWrite(operations, userId, { chunkSize });
+        // A failed bulk write may still report the operations that completed before it stopped
+        chunk.forEach(({ row, id }, index) => {
+          const outcome = result.results?.[index];
+          if (!outcome) {
+            recordError(row, id, { error: result.error?.message || 'Import chunk failed' });
+          } else if (outcome.success) {
+            report.imported += 1;
+          } else {
+            recordError(row, outcome.id, { error: outcome.error.message, details: outcome.error.details });
+          }
+        });
+
+        chunk = [];
+      };
+
+      for await (const record of records) {
+        report.processed += 1;
+
+        if (record.error) {
+          recordError(record.row, record.id, { error: record.error });
+          continue;
+        }
+
+        // Ids become document paths, so one with a '/' would write into a subcollection
+        if (record.id != null) {
+          const { error } = FirebaseSchemas.documentId.validate(record.id, { errors: { label: false } });
+          if (error) {
+            const [{ message, type }] = error.details;
+            recordError(record.row, null, {
+              error: 'Invalid document id',
+              details: [{ field: 'id', message, value: record.id, type }]
+            });
+            continue;
+          }
+        }
+
+        const merge = mode === 'merge' && record.id;
+        const validation = schemaRegistry.validate(collection, record.data, { partial: !!merge });
+        if (validation.errors) {
+          recordError(record.row, record.id, { error: 'Document does not match the collection schema', details: validation.errors });
+          continue;
+        }
+
+        if (dryRun) {
+          report.imported += 1;
+          continue;
+        }
+
+        chunk.push({ ...record, data: validation.value });
+        if (chunk.length >= chunkSize) {
+          await flush();
+        }
+      }
+
+      await flush();
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('importDocuments', { collection, ...report, errors: report.errors.length, dryRun }, timing);
+
+      return FirebaseResponse.success({
+        collection,
+        dryRun,
+        mode,
+        ...report,
+        truncatedErrors: report.failed > report.errors.length
+      }, dryRun ? 'Import dry run completed' : 'Import completed', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('importDocuments', error, { collection, processed: report.processed, timing });
+      return FirebaseResponse.error(error, 'importDocuments', { collection, processed: report.processed }, timing);
+    }
+  }
+
+  evaluateCondition(doc, { field, operator, value }) {
+    const actual = doc && doc.exists ? doc.get(field) : undefined;
+
+    switch (operator) {
+      case 'exists': return (actual !== undefined) === value;
+      case '==': return isDeepStrictEqual(actual, value);
+      case '!=': return !isDeepStrictEqual(actual, value);
+      case '<': return actual !== undefined && actual < value;
+      case '<=': return actual !== undefined && actual <= value;
+      case '>': return actual !== undefined && actual > value;
+      case '>=': return actual !== undefined && actual >= value;
+      case 'in': return value.some(candidate => isDeepStrictEqual(actual, candidate));
+      case 'not-in': return !value.some(candidate => isDeepStrictEqual(actual, candidate));
+      case 'array-contains':
+        return Array.isArray(actual) && actual.some(item => isDeepStrictEqual(item, value));
+      default: return false;
+    }
+  }
+
+  async runTransaction(reads = [], writes = [], userId = null, options = {}) {
+    const startTime = Date.now();
+    const { maxAttempts = 5 } = options;
+
+    try {
+      this.initialize();
+
+      Logger.firestore('transaction', 'multiple', null, {
+        readsCount: reads.length,
+        writesCount: writes.length,
+        maxAttempts,
+        userId
+      });
+
+      const schemaErrors = [];
+      writes = writes.map((write, index) => {
+        if (write.type === 'delete' && !collectionRegistry.isSoftDelete(write.collection)) {
+          write = { ...write, hardDelete: true };
+        }
+        if (!write.data) return write;
+
+        const validation = schemaRegistry.validate(write.collection, write.data, {
+          partial: write.type === 'update',
+          pathPrefix: `writes.${index}.data`
+        });
+
+        if (validation.errors) {
+          schemaErrors.push(...validation.errors);
+          return write;
+        }
+        return { ...write, data: validation.value };
+      });
+
+      if (schemaErrors.length > 0) {
+        return FirebaseResponse.validation(schemaErrors, 'Transaction writes do not match collection schemas');
+      }
+
+      const readRefs = reads.map(({ collection, id }) => this.db.collection(collection).doc(id));
+      const writeRefs = writes.map(({ collection, id }) => (
+        id ? this.db.collection(collection).doc(id) : this.db.collection(collection).doc()
+      ));
+
+      // Dependents of deleted documents are written inside the transaction, so they share the batch limit
+      const deletes = writes.filter(({ type }) => type === 'delete');
+      const visited = new Set(deletes.map(({ collection, id }) => this.db.collection(collection).doc(id).path));
+      const budget = { remaining: DEPENDENT_BATCH_SIZE };
+      const dependentWrites = [];
+      const restricted = [];
+      for (const write of deletes) {
+        const plan = await this.planDependentWrites(write.collection, write.id, write.hardDelete, visited, budget);
+        dependentWrites.push(...plan.writes);
+        if (plan.restricted.length > 0) {
+          restricted.push({
+            index: writes.indexOf(write),
+            collection: write.collection,
+            id: write.id,
+            dependents: plan.restricted
+          });
+        }
+      }
+
+      if (restricted.length > 0) {
+        const [first] = restricted;
+        return FirebaseResponse.error(
+          this.restrictedError(`${first.collection}/${first.id}`, first.dependents),
+          'runTransaction',
+          { readsCount: reads.length, writesCount: writes.length, restricted },
+          Date.now() - startTime
+        );
+      }
+
+      const timestamp = admin.firestore.FieldValue.serverTimestamp();
+      let attempts = 0;
+      let hooked = [];
+
+      const results = await this.db.runTransaction(async transaction => {
+        attempts += 1;
+        hooked = [];
+
+        const targets = writes.map((write, index) => (write.type === 'create' && !write.id ? null : writeRefs[index]));
+        const refs = [...readRefs, ...targets.filter(Boolean)];
+        const snapshots = refs.length > 0 ? await transaction.getAll(...refs) : [];
+        const snapshotsByPath = new Map(snapshots.map(doc => [doc.ref.path, doc]));
+
+        const stepResults = reads.map(({ collection, id }, index) => {
+          const doc = snapshotsByPath.get(readRefs[index].path);
+          return {
+            success: true,
+            step: 'read',
+            type: 'read',
+            collection,
+            id,
+            index,
+            exists: doc.exists,
+            data: doc.exists ? { id: doc.id, ...doc.data() } : null
+          };
+        });
+
+        const writeResults = writes.map(({ type, collection, hardDelete = false, conditions = [] }, index) => {
+          const ref = writeRefs[index];
+          const doc = targets[index] ? snapshotsByPath.get(ref.path) : null;
+          const result = {
+            step: 'write',
+            type,
+            collection,
+            id: ref.id,
+            index,
+            ...(type === 'delete' && { hardDelete })
+          };
+
+          if ((type === 'update' || type === 'delete') && !doc.exists) {
+            return { ...result, success: false, error: { code: 'NOT_FOUND', message: `Document '${ref.path}' not found` } };
+          }
+
+          if (type === 'create' && doc && doc.exists) {
+            return { ...result, success: false, error: { code: 'ALREADY_EXISTS', message: `Document '${ref.path}' already exists` } };
+          }
+
+          const failed = conditions.find(condition => !this.evaluateCondition(doc, condition));
+          if (failed) {
+            return {
+              ...result,
+              success: false,
+              error: {
+                code: 'CONDITION_FAILED',
+                message: `Condition failed: ${failed.field} ${failed.operator} ${JSON.stringify(failed.value)}`,
+                condition: failed
+              }
+            };
+          }
+
+          return { ...result, success: true };
+        });
+
+        // Before hooks see each write's final values, increments resolved against the snapshot just read
+        if (writeResults.every(result => result.success)) {
+          for (const [index, { type, collection, data = {}, increments = {} }] of writes.entries()) {
+            const doc = targets[index] ? snapshotsByPath.get(writeRefs[index].path) : null;
+            const previous = doc && doc.exists ? doc.data() : null;
+
+            if (type === 'delete') {
+              hooked.push({ previous, value: null });
+              continue;
+            }
+
+            const incremented = Object.fromEntries(Object.entries(increments).map(([field, amount]) => {
+              const current = previous ? doc.get(field) : undefined;
+              return [field, (typeof current === 'number' ? current : 0) + amount];
+            }));
+            const outcome = await hookRegistry.runBefore(previous ? 'beforeUpdate' : 'beforeCreate', {
+              collection,
+              id: writeRefs[index].id,
+              data: { ...data, ...incremented },
+              previous,
+              userId
+            });
+
+            if (outcome.errors) {
+              writeResults[index] = {
+                ...writeResults[index],
+                success: false,
+                error: { code: 'VALIDATION_ERROR', message: outcome.message, details: outcome.errors }
               };
-              batch.set(newDocRef, createData);
-              results.push({ 
-                success: true, 
-                type, 
-                collection, 
-                id: newDocRef.id,
-                index 
+              break;
+            }
+            hooked.push({ previous, value: outcome.value });
+          }
+        }
+
+        if (writeResults.some(result => !result.success)) {
+          return [
+            ...stepResults,
+            ...writeResults.map(result => (result.success
+              ? { ...result, success: false, error: { code: 'ABORTED', message: 'Transaction aborted by a failed step' } }
+              : result))
+          ];
+        }
+
+        writes.forEach(({ type, hardDelete = false }, index) => {
+          const ref = writeRefs[index];
+          const doc = targets[index] ? snapshotsByPath.get(ref.path) : null;
+          const data = hooked[index].value;
+
+          switch (type) {
+            case 'create':
+              transaction.create(ref, {
+                ...data,
+                ...this.geoFields(data),
+                createdAt: timestamp,
+                updatedAt: timestamp,
+                ...(userId && { createdBy: userId })
+              });
+              break;
+
+            case 'set': {
+              // Ownership is never taken from the payload: a replaced document keeps its owner
+              const { createdBy, ...fields } = data;
+              const owner = doc.exists ? doc.get('createdBy') : userId;
+
+              this.recordVersion(transaction, doc, 'transaction', userId);
+              transaction.set(ref, {
+                ...fields,
+                ...this.geoFields(fields),
+                createdAt: doc.exists ? doc.get('createdAt') || timestamp : timestamp,
+                ...(owner && { createdBy: owner }),
+                updatedAt: timestamp,
+                ...(userId && { updatedBy: userId })
               });
               break;
+            }
 
             case 'update':
-              const updateDocRef = this.db.collection(collection).doc(id);
-              const updateData = {
+              this.recordVersion(transaction, doc, 'transaction', userId);
+              transaction.update(ref, {
                 ...data,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-              };
-              batch.update(updateDocRef, updateData);
-              results.push({ 
-                success: true, 
-                type, 
-                collection, 
-                id,
-                index 
+                ...this.geoFields(data, doc.data()),
+                updatedAt: timestamp,
+                ...(userId && { updatedBy: userId })
               });
               break;
 
             case 'delete':
-              const deleteDocRef = this.db.collection(collection).doc(id);
-              batch.delete(deleteDocRef);
-              results.push({ 
-                success: true, 
-                type, 
-                collection, 
-                id,
-                index 
-              });
+              this.recordVersion(transaction, doc, hardDelete ? 'hardDelete' : 'delete', userId);
+              if (hardDelete) {
+                transaction.delete(ref);
+              } else {
+                transaction.update(ref, {
+                  deleted: true,
+                  deletedAt: timestamp,
+                  ...(userId && { deletedBy: userId })
+                });
+              }
               break;
+          }
+        });
+        dependentWrites.forEach(write => this.applyDependentWrite(transaction, write, userId));
 
-            default:
-              results.push({ 
-                success: false, 
-                error: `Invalid operation type: ${type}`,
-                index 
-              });
+        return [...stepResults, ...writeResults];
+      }, { maxAttempts });
+
+      const committed = results.every(result => result.success);
+      if (committed) {
+        const written = results.filter(result => result.step === 'write');
+        await this.syncSearchIndex(written);
+
+        for (const { type, collection, id, index, hardDelete } of written) {
+          const { previous, value } = hooked[index];
+
+          if (type === 'delete') {
+            await hookRegistry.runAfter('afterDelete', { collection, id, previous, hardDelete, userId });
+          } else {
+            await hookRegistry.runAfter('afterWrite', { collection, id, operation: type, data: value, previous, userId });
           }
-        } catch (opError) {
-          results.push({ 
-            success: false, 
-            error: opError.message,
-            type,
-            collection,
-            id,
-            index 
-          });
         }
-      });
-
-      await batch.commit();
+        await this.finishDependentWrites(dependentWrites, userId);
+      }
 
       const timing = Date.now() - startTime;
-      
-      Logger.success('batchOperations', { 
-        operationsCount: operations.length 
+
+      Logger.success('runTransaction', {
+        readsCount: reads.length,
+        writesCount: writes.length,
+        attempts,
+        committed
       }, timing);
 
-      return FirebaseResponse.batch(results, 'batch operations');
-      
+      return {
+        ...FirebaseResponse.batch(results, 'transaction'),
+        attempts
+      };
+
     } catch (error) {
       const timing = Date.now() - startTime;
-      Logger.failure('batchOperations', error, { operationsCount: operations.length, timing });
-      return FirebaseResponse.error(error, 'batchOperations', { operationsCount: operations.length }, timing);
+      Logger.failure('runTransaction', error, { readsCount: reads.length, writesCount: writes.length, timing });
+      return FirebaseResponse.error(error, 'runTransaction', { readsCount: reads.length, writesCount: writes.length }, timing);
     }
   }
 
-  async countDocuments(collection, filters = []) {
+  async countDocuments(collection, filters = [], options = {}) {
     const startTime = Date.now();
     
     try {
       this.initialize();
       
-      Logger.firestore('count', collection, null, { filtersCount: filters.length });
+      const { includeDeleted = false } = options;
 
-      let query = this.db.collection(collection);
+      Logger.firestore('count', collection, null, { filtersCount: filters.length, includeDeleted });
 
-      filters.forEach(filter => {
-        const { field, operator, value } = filter;
-        query = query.where(field, operator, value);
-      });
+      const query = this.buildQuery(collection, { filters });
 
-      const snapshot = await query.get();
-      const count = snapshot.size;
+      const { count } = await this.aggregateLive(query, [{ key: 'count', type: 'count' }], includeDeleted);
 
       const timing = Date.now() - startTime;
       
@@ -447,6 +2664,139 @@ class FirestoreService {
     }
   }
 
+  async aggregateDocuments(collection, aggregations, filters = [], options = {}) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      const { includeDeleted = false } = options;
+
+      Logger.firestore('aggregate', collection, null, {
+        aggregations: aggregations.map(({ type, field }) => (field ? `${type}(${field})` : type)),
+        filtersCount: filters.length,
+        includeDeleted
+      });
+
+      const query = this.buildQuery(collection, { filters });
+
+      const results = await this.aggregateLive(
+        query,
+        aggregations.map(aggregation => ({ ...aggregation, key: this.aggregationKey(aggregation) })),
+        includeDeleted
+      );
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('aggregateDocuments', { collection, results }, timing);
+
+      return FirebaseResponse.success({
+        collection,
+        results,
+        filters
+      }, 'Aggregation completed successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('aggregateDocuments', error, { collection, timing });
+      return FirebaseResponse.error(error, 'aggregateDocuments', { collection }, timing);
+    }
+  }
+
+  aggregationKey({ type, field, alias }) {
+    return alias || (field ? `${type}_${field.replace(/\./g, '_')}` : type);
+  }
+
+  // Counts the documents isVisible keeps. A query cannot express that without dropping documents
+  // that lack a `deleted` field, so live totals are the whole query minus its soft-deleted part. Averages are rebuilt from that sum and
+  // the number of numeric values, which is what average() divides by.
+  async aggregateLive(query, aggregations, includeDeleted = false) {
+    const { AggregateField } = admin.firestore;
+    const spec = Object.fromEntries(aggregations.map(({ key, type, field }) => [
+      key,
+      type === 'count' ? AggregateField.count()
+        : type === 'avg' && includeDeleted ? AggregateField.average(field)
+        : AggregateField.sum(field)
+    ]));
+
+    if (includeDeleted) {
+      return (await query.aggregate(spec).get()).data();
+    }
+
+    const deletedQuery = query.where('deleted', '==', true);
+    const [totals, deleted] = (await Promise.all([query, deletedQuery].map(target => target.aggregate(spec).get())))
+      .map(snapshot => snapshot.data());
+
+    const results = {};
+    for (const { key, type, field } of aggregations) {
+      const value = (totals[key] || 0) - (deleted[key] || 0);
+      if (type !== 'avg') {
+        results[key] = value;
+        continue;
+      }
+
+      const [numeric, deletedNumeric] = await Promise.all([query, deletedQuery].map(async target => (
+        (await target.where(field, '>=', -Infinity).count().get()).data().count
+      )));
+      results[key] = numeric > deletedNumeric ? value / (numeric - deletedNumeric) : null;
+    }
+
+    return results;
+  }
+
+  // Field transforms stay single blind writes: no read, and no version history entry. Collections with
+  // update hooks are the exception: the new value is computed in a transaction so the hooks can see it.
+  async transformField(collection, docId, field, transform, apply, userId = null) {
+    const docRef = this.db.collection(collection).doc(docId);
+    const meta = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(userId && { updatedBy: userId })
+    };
+
+    const hooked = ['beforeUpdate', 'afterWrite']
+      .some(event => hookRegistry.handlersFor(event, collection).length > 0);
+    if (!hooked) {
+      await docRef.update({ [field]: transform, ...meta });
+      return { errors: null };
+    }
+
+    const outcome = await this.db.runTransaction(async transaction => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) {
+        // Same gRPC NOT_FOUND code the blind update fails with
+        const error = new Error(`Document '${docRef.path}' not found`);
+        error.code = 5;
+        throw error;
+      }
+
+      const previous = doc.data();
+      const result = await hookRegistry.runBefore('beforeUpdate', {
+        collection,
+        id: docId,
+        data: { [field]: apply(doc.get(field)) },
+        previous,
+        userId
+      });
+
+      if (!result.errors) {
+        transaction.update(docRef, { ...result.value, ...this.geoFields(result.value, previous), ...meta });
+      }
+      return { ...result, previous };
+    });
+
+    if (!outcome.errors) {
+      await hookRegistry.runAfter('afterWrite', {
+        collection,
+        id: docId,
+        operation: 'update',
+        data: outcome.value,
+        previous: outcome.previous,
+        userId
+      });
+    }
+    return outcome;
+  }
+
   async addToArray(collection, docId, field, value, userId = null) {
     const startTime = Date.now();
     
@@ -455,13 +2805,13 @@ class FirestoreService {
       
       Logger.firestore('addToArray', collection, docId, { field, userId });
       
-      const docRef = this.db.collection(collection).doc(docId);
-      
-      await docRef.update({
-        [field]: admin.firestore.FieldValue.arrayUnion(value),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        ...(userId && { updatedBy: userId })
-      });
+      const hooked = await this.transformField(collection, docId, field, admin.firestore.FieldValue.arrayUnion(value), current => {
+        const items = Array.isArray(current) ? current : [];
+        return items.some(item => isDeepStrictEqual(item, value)) ? items : [...items, value];
+      }, userId);
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
 
       const timing = Date.now() - startTime;
       
@@ -475,6 +2825,9 @@ class FirestoreService {
       }, 'Item added to array successfully', timing);
       
     } catch (error) {
+      if (error.code === 5) {
+        return FirebaseResponses.document.notFound(collection, docId);
+      }
       const timing = Date.now() - startTime;
       Logger.failure('addToArray', error, { collection, docId, field, timing });
       return FirebaseResponse.error(error, 'addToArray', { collection, docId, field }, timing);
@@ -489,13 +2842,12 @@ class FirestoreService {
       
       Logger.firestore('removeFromArray', collection, docId, { field, userId });
       
-      const docRef = this.db.collection(collection).doc(docId);
-      
-      await docRef.update({
-        [field]: admin.firestore.FieldValue.arrayRemove(value),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        ...(userId && { updatedBy: userId })
-      });
+      const hooked = await this.transformField(collection, docId, field, admin.firestore.FieldValue.arrayRemove(value), current => (
+        Array.isArray(current) ? current.filter(item => !isDeepStrictEqual(item, value)) : []
+      ), userId);
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
 
       const timing = Date.now() - startTime;
       
@@ -509,6 +2861,9 @@ class FirestoreService {
       }, 'Item removed from array successfully', timing);
       
     } catch (error) {
+      if (error.code === 5) {
+        return FirebaseResponses.document.notFound(collection, docId);
+      }
       const timing = Date.now() - startTime;
       Logger.failure('removeFromArray', error, { collection, docId, field, timing });
       return FirebaseResponse.error(error, 'removeFromArray', { collection, docId, field }, timing);
@@ -523,13 +2878,12 @@ class FirestoreService {
       
       Logger.firestore('increment', collection, docId, { field, amount, userId });
       
-      const docRef = this.db.collection(collection).doc(docId);
-      
-      await docRef.update({
-        [field]: admin.firestore.FieldValue.increment(amount),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        ...(userId && { updatedBy: userId })
-      });
+      const hooked = await this.transformField(collection, docId, field, admin.firestore.FieldValue.increment(amount), current => (
+        (typeof current === 'number' ? current : 0) + amount
+      ), userId);
+      if (hooked.errors) {
+        return FirebaseResponse.validation(hooked.errors, hooked.message);
+      }
 
       const timing = Date.now() - startTime;
       
@@ -543,11 +2897,148 @@ class FirestoreService {
       }, 'Field incremented successfully', timing);
       
     } catch (error) {
+      if (error.code === 5) {
+        return FirebaseResponses.document.notFound(collection, docId);
+      }
       const timing = Date.now() - startTime;
       Logger.failure('incrementField', error, { collection, docId, field, timing });
       return FirebaseResponse.error(error, 'incrementField', { collection, docId, field }, timing);
     }
   }
+
+  counterRef(name) {
+    return this.db.collection(COUNTERS_COLLECTION).doc(name);
+  }
+
+  async createCounter(name, shards = DEFAULT_COUNTER_SHARDS, userId = null) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      Logger.firestore('createCounter', COUNTERS_COLLECTION, name, { shards, userId });
+
+      const counterRef = this.counterRef(name);
+      const batch = this.db.batch();
+
+      batch.create(counterRef, {
+        shards,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(userId && { createdBy: userId })
+      });
+      for (let shard = 0; shard < shards; shard++) {
+        batch.create(counterRef.collection('shards').doc(String(shard)), { count: 0 });
+      }
+
+      await batch.commit();
+      this.counterShards.set(name, shards);
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('createCounter', { name, shards }, timing);
+
+      return FirebaseResponse.success({ name, shards, value: 0 }, 'Counter created successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      if (error.code === 6) {
+        error = Object.assign(new Error(`Counter '${name}' already exists`), { code: 'ALREADY_EXISTS' });
+      }
+      Logger.failure('createCounter', error, { name, timing });
+      return FirebaseResponse.error(error, 'createCounter', { name }, timing);
+    }
+  }
+
+  // Shard counts never change after creation, so they are cached to keep increments to one write
+  async getCounterShards(name, { create = false, shards = DEFAULT_COUNTER_SHARDS, userId = null } = {}) {
+    if (this.counterShards.has(name)) {
+      return this.counterShards.get(name);
+    }
+
+    const counter = await this.counterRef(name).get();
+    if (counter.exists) {
+      this.counterShards.set(name, counter.get('shards'));
+      return counter.get('shards');
+    }
+    if (!create) return null;
+
+    const created = await this.createCounter(name, shards, userId);
+    if (!created.success && created.error.code !== 'ALREADY_EXISTS') {
+      throw Object.assign(new Error(created.error.message), { code: created.error.code });
+    }
+
+    return this.getCounterShards(name);
+  }
+
+  async incrementCounter(name, amount = 1, options = {}) {
+    const startTime = Date.now();
+    const { shards: initialShards, userId = null } = options;
+
+    try {
+      this.initialize();
+
+      Logger.firestore('incrementCounter', COUNTERS_COLLECTION, name, { amount, userId });
+
+      const shards = await this.getCounterShards(name, { create: true, shards: initialShards, userId });
+      const shard = Math.floor(Math.random() * shards);
+
+      await this.counterRef(name).collection('shards').doc(String(shard)).set({
+        count: admin.firestore.FieldValue.increment(amount)
+      }, { merge: true });
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('incrementCounter', { name, shard, amount }, timing);
+
+      return FirebaseResponse.success({
+        name,
+        amount,
+        shard,
+        shards
+      }, 'Counter incremented successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('incrementCounter', error, { name, timing });
+      return FirebaseResponse.error(error, 'incrementCounter', { name }, timing);
+    }
+  }
+
+  async getCounter(name) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      Logger.firestore('getCounter', COUNTERS_COLLECTION, name);
+
+      const counterRef = this.counterRef(name);
+      const counter = await counterRef.get();
+      if (!counter.exists) {
+        return FirebaseResponse.notFound('Counter', name);
+      }
+
+      const snapshot = await counterRef.collection('shards')
+        .aggregate({ value: admin.firestore.AggregateField.sum('count') })
+        .get();
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('getCounter', { name }, timing);
+
+      return FirebaseResponse.success({
+        name,
+        value: snapshot.data().value || 0,
+        shards: counter.get('shards'),
+        createdAt: counter.get('createdAt') || null
+      }, 'Counter retrieved successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('getCounter', error, { name, timing });
+      return FirebaseResponse.error(error, 'getCounter', { name }, timing);
+    }
+  }
 }
 
 module.exports = new FirestoreService();
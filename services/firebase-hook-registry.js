@@ -0,0 +1,91 @@
+const hookConfig = require('../config/firestore-hooks');
+const collectionRegistry = require('./firebase-collection-registry');
+const Logger = require('../utils/firebase-logger');
+
+const EVENTS = ['beforeCreate', 'beforeUpdate', 'afterWrite', 'afterDelete'];
+
+const reject = (errors, message = 'Write rejected by collection hook') => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  error.details = (Array.isArray(errors) ? errors : [errors])
+    .map(detail => (typeof detail === 'string' ? { message: detail } : detail));
+  throw error;
+};
+
+class HookRegistry {
+  constructor(hooks = {}) {
+    this.hooks = [];
+
+    Object.entries(hooks).forEach(([collection, events]) => {
+      Object.entries(events).forEach(([event, handlers]) => {
+        [].concat(handlers).forEach(handler => this.register(collection, event, handler));
+      });
+    });
+  }
+
+  register(collection, event, handler) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`Unknown hook event '${event}', expected one of: ${EVENTS.join(', ')}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Hook '${event}' for '${collection}' must be a function`);
+    }
+
+    const hook = { collection, segments: collection.split('/'), event, handler };
+    this.hooks.push(hook);
+    Logger.info('Collection hook registered', { collection, event });
+
+    return () => {
+      this.hooks = this.hooks.filter(registered => registered !== hook);
+    };
+  }
+
+  handlersFor(event, collection) {
+    return this.hooks.filter(hook => (
+      hook.event === event && collectionRegistry.matchesPattern(hook.segments, collection)
+    ));
+  }
+
+  // Each before hook receives the data returned by the previous one; rejections come back as errors
+  async runBefore(event, context) {
+    let value = context.data;
+
+    try {
+      for (const { handler } of this.handlersFor(event, context.collection)) {
+        const result = await handler({ previous: null, ...context, data: value, reject });
+        if (result !== undefined) value = result;
+      }
+    } catch (error) {
+      if (error.code !== 'VALIDATION_ERROR') throw error;
+
+      Logger.warn('Write rejected by collection hook', {
+        event,
+        collection: context.collection,
+        id: context.id,
+        errors: error.details
+      });
+
+      return { errors: error.details, message: error.message, value: null };
+    }
+
+    return { errors: null, value };
+  }
+
+  // After hooks run once the write is committed, so their failures are logged rather than returned
+  async runAfter(event, context) {
+    for (const { handler } of this.handlersFor(event, context.collection)) {
+      try {
+        await handler(context);
+      } catch (error) {
+        Logger.warn('Collection hook failed', {
+          event,
+          collection: context.collection,
+          id: context.id,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new HookRegistry(hookConfig);
@@ -284,6 +284,7 @@ class RealtimeDatabaseService {
         
         callback({
           success: true,
+          eventType,
           data,
           key: snapshot.key,
           path,
@@ -295,6 +296,7 @@ class RealtimeDatabaseService {
         Logger.failure('listen', error, { path, eventType });
         callback({
           success: false,
+          eventType,
           error: {
             message: error.message,
             code: error.code || 'LISTENER_ERROR'
@@ -0,0 +1,204 @@
+const Joi = require('joi');
+const rulesConfig = require('../config/firestore-rules');
+const authService = require('./firebase-auth');
+const firestoreService = require('./firebase-firestore');
+const collectionRegistry = require('./firebase-collection-registry');
+const Logger = require('../utils/firebase-logger');
+
+const ACTIONS = ['read', 'create', 'update', 'delete'];
+const LOAD_CHUNK_SIZE = 500;
+
+const conditionSchema = Joi.object({
+  field: Joi.string().required(),
+  operator: Joi.string().valid('==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'exists').required(),
+  value: Joi.any().required()
+});
+
+const ruleSchema = Joi.object({
+  description: Joi.string().optional(),
+  public: Joi.boolean().valid(true).optional(),
+  authenticated: Joi.boolean().valid(true).optional(),
+  roles: Joi.array().items(Joi.string()).min(1).optional(),
+  owner: Joi.string().optional(),
+  where: Joi.array().items(conditionSchema).min(1).optional(),
+  data: Joi.array().items(conditionSchema).min(1).optional()
+});
+
+const rulesetSchema = Joi.object(Object.fromEntries(
+  ACTIONS.map(action => [action, Joi.array().items(ruleSchema).optional()])
+));
+
+const configSchema = Joi.object({
+  defaultRules: rulesetSchema.required(),
+  collections: Joi.object().pattern(Joi.string(), rulesetSchema).default({})
+});
+
+// Lets plain objects go through FirestoreService.evaluateCondition like snapshots do
+const asSnapshot = data => data && {
+  exists: true,
+  get: field => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data)
+};
+
+class RulesEngine {
+  constructor(config) {
+    const { error, value } = configSchema.validate(config, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid Firestore rules configuration: ${error.message}`);
+    }
+
+    this.defaultRules = value.defaultRules;
+    this.collections = Object.entries(value.collections).map(([pattern, rules]) => ({
+      pattern,
+      segments: pattern.split('/'),
+      rules
+    }));
+  }
+
+  // Collection group reads must satisfy every ruleset the group id can resolve to
+  rulesetsFor(collection, { collectionGroup = false } = {}) {
+    const matches = this.collections.filter(({ segments }) => (
+      collectionGroup
+        ? segments[segments.length - 1] === collection
+        : collectionRegistry.matchesPattern(segments, collection)
+    ));
+
+    return matches.length > 0 ? matches : [{ pattern: '*', rules: this.defaultRules }];
+  }
+
+  rulesFor(ruleset, action) {
+    return ruleset.rules[action] || this.defaultRules[action] || [];
+  }
+
+  async resolveRoles(user, roles = null) {
+    if (!user) return [];
+    if (roles) return roles;
+
+    let claims = user.customClaims || {};
+    if (!claims.roles && !claims.role) {
+      const userResult = await authService.getUserByUid(user.uid);
+      if (!userResult.success) {
+        throw new Error(`Unable to resolve roles for '${user.uid}'`);
+      }
+      claims = userResult.data.customClaims || {};
+    }
+
+    return [...(claims.roles || []), claims.role].filter(Boolean);
+  }
+
+  evaluateRule(rule, { user, roles, resource, data }) {
+    const reasons = [];
+
+    if (!rule.public && !user) {
+      reasons.push('requires an authenticated user');
+    }
+
+    if (rule.roles && !rule.roles.some(role => roles.includes(role))) {
+      reasons.push(`requires one of the roles: ${rule.roles.join(', ')}`);
+    }
+
+    if (rule.owner) {
+      if (!resource || !resource.exists) {
+        reasons.push(`requires a document to check '${rule.owner}' ownership`);
+      } else if (!user || resource.get(rule.owner) !== user.uid) {
+        reasons.push(`'${rule.owner}' must match the caller`);
+      }
+    }
+
+    if (rule.where) {
+      if (!resource || !resource.exists) {
+        reasons.push('requires a document to evaluate field predicates');
+      } else {
+        rule.where
+          .filter(condition => !firestoreService.evaluateCondition(resource, condition))
+          .forEach(({ field, operator, value }) => {
+            reasons.push(`document field '${field}' ${operator} ${JSON.stringify(value)} is not satisfied`);
+          });
+      }
+    }
+
+    if (rule.data) {
+      rule.data
+        .filter(condition => !firestoreService.evaluateCondition(asSnapshot(data || {}), condition))
+        .forEach(({ field, operator, value }) => {
+          reasons.push(`request field '${field}' ${operator} ${JSON.stringify(value)} is not satisfied`);
+        });
+    }
+
+    return { matched: reasons.length === 0, reasons };
+  }
+
+  async authorize(user, checks, options = {}) {
+    const candidates = checks.map(check => ({
+      ...check,
+      rulesets: this.rulesetsFor(check.collection, check)
+    }));
+
+    const allRules = candidates.flatMap(({ action, rulesets }) => rulesets.flatMap(ruleset => (
+      action === 'set'
+        ? [...this.rulesFor(ruleset, 'create'), ...this.rulesFor(ruleset, 'update')]
+        : this.rulesFor(ruleset, action)
+    )));
+    const roles = allRules.some(rule => rule.roles)
+      ? await this.resolveRoles(user, options.roles)
+      : options.roles || [];
+
+    // Existing documents are only read when a rule depends on them, or to tell a set apart
+    const loads = candidates.filter(({ action, id, rulesets }) => id && action !== 'create' && (
+      action === 'set' || rulesets.some(ruleset => this.rulesFor(ruleset, action).some(rule => rule.owner || rule.where))
+    ));
+    const resources = new Map();
+    if (loads.length > 0) {
+      firestoreService.initialize();
+      for (let offset = 0; offset < loads.length; offset += LOAD_CHUNK_SIZE) {
+        const snapshots = await firestoreService.db.getAll(
+          ...loads
+            .slice(offset, offset + LOAD_CHUNK_SIZE)
+            .map(({ collection, id }) => firestoreService.db.collection(collection).doc(id))
+        );
+        snapshots.forEach(doc => resources.set(doc.ref.path, doc));
+      }
+    }
+
+    const decisions = candidates.map(({ action, collection, id = null, data = null, collectionGroup = false, rulesets }) => {
+      const stored = id ? resources.get(`${collection}/${id}`) || null : null;
+      const resolvedAction = action === 'set' ? (stored && stored.exists ? 'update' : 'create') : action;
+
+      // A new document is judged as it will be written, including the createdBy stamp
+      const resource = resolvedAction === 'create'
+        ? asSnapshot({ ...data, ...(user && { createdBy: user.uid }) })
+        : stored;
+
+      const evaluated = rulesets.map(ruleset => {
+        const rules = this.rulesFor(ruleset, resolvedAction).map((rule, index) => ({
+          index,
+          rule,
+          ...this.evaluateRule(rule, { user, roles, resource, data })
+        }));
+
+        return { pattern: ruleset.pattern, allowed: rules.some(({ matched }) => matched), rules };
+      });
+
+      return {
+        action: resolvedAction,
+        collection,
+        ...(id && { id }),
+        ...(collectionGroup && { collectionGroup }),
+        allowed: evaluated.every(({ allowed }) => allowed),
+        rulesets: evaluated
+      };
+    });
+
+    const denied = decisions.filter(({ allowed }) => !allowed);
+
+    if (denied.length > 0) {
+      Logger.auth('rulesDenied', {
+        uid: user?.uid || null,
+        denied: denied.map(({ action, collection, id }) => ({ action, collection, id }))
+      });
+    }
+
+    return { allowed: denied.length === 0, roles, decisions, denied };
+  }
+}
+
+module.exports = new RulesEngine(rulesConfig);
@@ -0,0 +1,94 @@
+const schemaConfig = require('../config/firestore-schemas');
+const collectionRegistry = require('./firebase-collection-registry');
+const FirebaseSerializer = require('../utils/firebase-serializer');
+const Logger = require('../utils/firebase-logger');
+
+class SchemaRegistry {
+  constructor(schemas = {}) {
+    this.schemas = new Map(Object.entries(schemas));
+    this.partialSchemas = new Map();
+  }
+
+  register(collection, schema) {
+    this.schemas.set(collection, schema);
+    this.partialSchemas.delete(collection);
+    Logger.info('Collection schema registered', { collection });
+    return this;
+  }
+
+  has(collection) {
+    return this.schemas.has(collection);
+  }
+
+  get(collection) {
+    return this.schemas.get(collection) || null;
+  }
+
+  getPartial(collection) {
+    if (!this.partialSchemas.has(collection)) {
+      const schema = this.get(collection);
+      const keys = Object.keys(schema.describe().keys || {});
+      this.partialSchemas.set(collection, schema.fork(keys, key => key.optional()));
+    }
+    return this.partialSchemas.get(collection);
+  }
+
+  describe(collection) {
+    const schema = this.get(collection);
+    return schema ? schema.describe() : null;
+  }
+
+  // Approximates the stored size from the encoded payload; partial updates are measured on their own
+  estimateSize(data) {
+    return Buffer.byteLength(JSON.stringify(FirebaseSerializer.encodeTyped(data)));
+  }
+
+  validate(collection, data, { partial = false, pathPrefix = '' } = {}) {
+    const maxBytes = collectionRegistry.maxDocumentBytes(collection);
+    const size = this.estimateSize(data);
+    if (size > maxBytes) {
+      const errors = [{
+        field: pathPrefix || 'data',
+        message: `Document is about ${size} bytes, over the ${maxBytes} byte limit for '${collection}'`,
+        value: size,
+        type: 'document.size'
+      }];
+
+      Logger.warn('Document size limit exceeded', { collection, size, maxBytes });
+      return { errors, value: null };
+    }
+
+    if (!this.has(collection)) {
+      return { errors: null, value: data };
+    }
+
+    const schema = partial ? this.getPartial(collection) : this.get(collection);
+
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      convert: true,
+      ...(partial && { noDefaults: true })
+    });
+
+    if (!error) {
+      return { errors: null, value };
+    }
+
+    const errors = error.details.map(detail => ({
+      field: [pathPrefix, ...detail.path].filter(part => part !== '').join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    Logger.warn('Document schema validation failed', {
+      collection,
+      partial,
+      errors
+    });
+
+    return { errors, value: null };
+  }
+}
+
+module.exports = new SchemaRegistry(schemaConfig.collections);
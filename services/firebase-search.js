@@ -0,0 +1,263 @@
+const { getFirestore, admin } = require('../config/firebase-admin');
+const searchConfig = require('../config/firestore-search');
+const collectionRegistry = require('./firebase-collection-registry');
+const Logger = require('../utils/firebase-logger');
+const { FirebaseResponse } = require('../utils/firebase-response');
+
+class SearchIndexService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getFirestore();
+      this.initialized = true;
+      Logger.info('Search index service initialized', {
+        indexCollection: searchConfig.indexCollection
+      });
+    } catch (error) {
+      Logger.error('Failed to initialize Search index service', { error: error.message });
+      throw error;
+    }
+  }
+
+  getFieldWeights(collection) {
+    return collectionRegistry.searchFields(collection);
+  }
+
+  isIndexed(collection) {
+    return this.getFieldWeights(collection) !== null;
+  }
+
+  indexRef(collection, docId) {
+    this.initialize();
+    return this.db
+      .collection(searchConfig.indexCollection)
+      .doc(collection)
+      .collection('documents')
+      .doc(docId);
+  }
+
+  normalize(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  tokenize(text) {
+    return this.normalize(text)
+      .split(/[^\p{L}\p{N}\p{M}]+/u)
+      .filter(term => term.length > 0);
+  }
+
+  queryTokens(searchTerm) {
+    const tokens = this.tokenize(searchTerm)
+      .map(term => term.substring(0, searchConfig.maxGram))
+      .filter(term => term.length >= searchConfig.minGram);
+
+    return [...new Set(tokens)].slice(0, searchConfig.maxQueryTokens);
+  }
+
+  extractText(data, field) {
+    const value = field.split('.').reduce((current, key) => (
+      current && typeof current === 'object' ? current[key] : undefined
+    ), data);
+
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.filter(item => typeof item === 'string').join(' ');
+    return '';
+  }
+
+  buildEntry(collection, docId, data) {
+    const weights = this.getFieldWeights(collection);
+    const fields = {};
+    const tokens = new Set();
+
+    Object.entries(weights).forEach(([field, weight]) => {
+      const grams = {};
+
+      this.tokenize(this.extractText(data, field)).forEach(term => {
+        const maxLength = Math.min(term.length, searchConfig.maxGram);
+
+        for (let length = searchConfig.minGram; length <= maxLength; length++) {
+          const gram = term.substring(0, length);
+          const exact = length === term.length || length === searchConfig.maxGram;
+          grams[gram] = (grams[gram] || 0) + weight * (exact ? 2 : 1);
+        }
+      });
+
+      if (Object.keys(grams).length > 0) {
+        fields[field] = grams;
+        Object.keys(grams).forEach(gram => tokens.add(gram));
+      }
+    });
+
+    return {
+      collection,
+      docId,
+      fields,
+      tokens: [...tokens],
+      deleted: data.deleted === true,
+      indexedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  async indexDocument(collection, docId, data) {
+    if (!this.isIndexed(collection)) return false;
+
+    try {
+      const entry = this.buildEntry(collection, docId, data);
+      await this.indexRef(collection, docId).set(entry);
+
+      Logger.debug('Search index updated', {
+        collection,
+        docId,
+        tokenCount: entry.tokens.length
+      });
+      return true;
+    } catch (error) {
+      Logger.warn('Search index update failed', { collection, docId, error: error.message });
+      return false;
+    }
+  }
+
+  async removeDocument(collection, docId) {
+    if (!this.isIndexed(collection)) return false;
+
+    try {
+      await this.indexRef(collection, docId).delete();
+      return true;
+    } catch (error) {
+      Logger.warn('Search index removal failed', { collection, docId, error: error.message });
+      return false;
+    }
+  }
+
+  async markDeleted(collection, docId, deleted = true) {
+    if (!this.isIndexed(collection)) return false;
+
+    try {
+      await this.indexRef(collection, docId).set({ deleted }, { merge: true });
+      return true;
+    } catch (error) {
+      Logger.warn('Search index soft-delete update failed', { collection, docId, error: error.message });
+      return false;
+    }
+  }
+
+  async rank(collection, searchTerm, searchFields = null) {
+    this.initialize();
+
+    const tokens = this.queryTokens(searchTerm);
+    if (tokens.length === 0) {
+      return { tokens, matches: [], truncated: false };
+    }
+
+    // Candidates come back in no particular order, so once there are more than the limit the
+    // ranking only covers an arbitrary subset and is reported as truncated
+    const snapshot = await this.db
+      .collection(searchConfig.indexCollection)
+      .doc(collection)
+      .collection('documents')
+      .where('tokens', 'array-contains-any', tokens)
+      .where('deleted', '==', false)
+      .limit(searchConfig.candidateLimit + 1)
+      .get();
+
+    const truncated = snapshot.size > searchConfig.candidateLimit;
+    const matches = [];
+
+    snapshot.docs.slice(0, searchConfig.candidateLimit).forEach(entryDoc => {
+      const entry = entryDoc.data();
+
+      const fieldGrams = Object.entries(entry.fields || {})
+        .filter(([field]) => !searchFields || searchFields.includes(field))
+        .map(([, grams]) => grams);
+
+      let matched = 0;
+      let score = 0;
+
+      tokens.forEach(token => {
+        const tokenScore = fieldGrams.reduce((sum, grams) => sum + (grams[token] || 0), 0);
+        if (tokenScore > 0) {
+          matched += 1;
+          score += tokenScore;
+        }
+      });
+
+      if (matched > 0) {
+        matches.push({ id: entry.docId || entryDoc.id, matched, score });
+      }
+    });
+
+    matches.sort((a, b) => b.matched - a.matched || b.score - a.score || a.id.localeCompare(b.id));
+
+    return { tokens, matches, truncated };
+  }
+
+  async reindexCollection(collection, pageSize = 300) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      if (!this.isIndexed(collection)) {
+        const error = new Error(`Collection '${collection}' is not configured for search`);
+        error.code = 'SEARCH_NOT_CONFIGURED';
+        throw error;
+      }
+
+      Logger.firestore('reindex', collection, null, { pageSize });
+
+      let indexed = 0;
+      let lastDoc = null;
+
+      while (true) {
+        let query = this.db
+          .collection(collection)
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const batch = this.db.batch();
+        snapshot.docs.forEach(doc => {
+          batch.set(this.indexRef(collection, doc.id), this.buildEntry(collection, doc.id, doc.data()));
+        });
+        await batch.commit();
+
+        indexed += snapshot.docs.length;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+        if (snapshot.docs.length < pageSize) break;
+      }
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('reindexCollection', { collection, indexed }, timing);
+
+      return FirebaseResponse.success({
+        collection,
+        indexed,
+        fields: Object.keys(this.getFieldWeights(collection))
+      }, 'Search index rebuilt successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('reindexCollection', error, { collection, timing });
+      return FirebaseResponse.error(error, 'reindexCollection', { collection }, timing);
+    }
+  }
+}
+
+module.exports = new SearchIndexService();
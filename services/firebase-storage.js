@@ -283,6 +283,45 @@ class StorageService {
     }
   }
 
+  async getFileStream(remotePath) {
+    const startTime = Date.now();
+
+    try {
+      this.initialize();
+
+      Logger.storage('getFileStream', remotePath);
+
+      const file = this.bucket.file(remotePath);
+
+      const [exists] = await file.exists();
+      if (!exists) {
+        return FirebaseResponses.storage.notFound(remotePath);
+      }
+
+      const [metadata] = await file.getMetadata();
+      const stream = file.createReadStream();
+
+      const timing = Date.now() - startTime;
+
+      Logger.success('getFileStream', { remotePath }, timing);
+
+      return FirebaseResponse.success({
+        remotePath,
+        stream,
+        name: path.basename(metadata.name),
+        size: parseInt(metadata.size),
+        contentType: metadata.contentType || 'application/octet-stream',
+        etag: metadata.etag,
+        updated: metadata.updated
+      }, 'File stream opened successfully', timing);
+
+    } catch (error) {
+      const timing = Date.now() - startTime;
+      Logger.failure('getFileStream', error, { remotePath, timing });
+      return FirebaseResponse.error(error, 'getFileStream', { remotePath }, timing);
+    }
+  }
+
   async deleteFile(remotePath) {
     const startTime = Date.now();
     
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const Logger = require('./firebase-logger');
+
+let cursorSecret = process.env.FIRESTORE_CURSOR_SECRET || null;
+
+class FirebaseCursor {
+  static getSecret() {
+    if (!cursorSecret) {
+      cursorSecret = crypto.randomBytes(32).toString('hex');
+      Logger.warn('FIRESTORE_CURSOR_SECRET not set, using a per-process secret', {
+        impact: 'Pagination cursors will not survive restarts or work across instances'
+      });
+    }
+    return cursorSecret;
+  }
+
+  static sign(encodedPayload) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(encodedPayload)
+      .digest('base64url');
+  }
+
+  static fingerprint(value) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(value))
+      .digest('base64url')
+      .substring(0, 16);
+  }
+
+  static encode(payload) {
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${this.sign(encodedPayload)}`;
+  }
+
+  static decode(token, expectedFingerprint = null) {
+    const [encodedPayload, signature, ...rest] = String(token).split('.');
+
+    if (!encodedPayload || !signature || rest.length > 0) {
+      throw this.invalid('Malformed cursor');
+    }
+
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw this.invalid('Cursor signature mismatch');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw this.invalid('Cursor payload is not valid JSON');
+    }
+
+    if (expectedFingerprint && payload.q !== expectedFingerprint) {
+      throw this.invalid('Cursor does not belong to this query');
+    }
+
+    return payload;
+  }
+
+  static invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CURSOR';
+    return error;
+  }
+}
+
+module.exports = FirebaseCursor;
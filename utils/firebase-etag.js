@@ -0,0 +1,27 @@
+class FirebaseETag {
+  static fromUpdateTime(updateTime) {
+    if (!updateTime) return null;
+    return `"${updateTime.seconds}.${String(updateTime.nanoseconds).padStart(9, '0')}"`;
+  }
+
+  static parseHeader(header) {
+    if (!header) return [];
+    return header.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  static matches(header, etag) {
+    const candidates = this.parseHeader(header);
+    if (candidates.includes('*')) return !!etag;
+
+    const strip = tag => tag.replace(/^W\//, '');
+    return candidates.some(candidate => strip(candidate) === strip(etag || ''));
+  }
+
+  static preconditionFailed(message = 'Document has been modified since it was retrieved') {
+    const error = new Error(message);
+    error.code = 'PRECONDITION_FAILED';
+    return error;
+  }
+}
+
+module.exports = FirebaseETag;
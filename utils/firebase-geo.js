@@ -0,0 +1,70 @@
+const {
+  geohashForLocation,
+  geohashQueryBounds,
+  distanceBetween
+} = require('geofire-common');
+
+class FirebaseGeo {
+  static GEOHASH_FIELD = 'geohash';
+  static LOCATION_FIELD = 'location';
+
+  static isValidCoordinate(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) &&
+      lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+  }
+
+  static extractCoordinates(data = {}) {
+    const location = data[this.LOCATION_FIELD];
+    let lat;
+    let lng;
+
+    if (location && typeof location === 'object') {
+      lat = location.latitude ?? location.lat;
+      lng = location.longitude ?? location.lng;
+    } else {
+      lat = data.lat ?? data.latitude;
+      lng = data.lng ?? data.longitude;
+    }
+
+    return this.isValidCoordinate(lat, lng) ? { lat, lng } : null;
+  }
+
+  static touchesCoordinates(data = {}) {
+    return [this.LOCATION_FIELD, 'lat', 'lng', 'latitude', 'longitude']
+      .some(field => Object.prototype.hasOwnProperty.call(data, field));
+  }
+
+  static geohash({ lat, lng }) {
+    return geohashForLocation([lat, lng]);
+  }
+
+  static distanceInMeters(from, to) {
+    return distanceBetween([from.lat, from.lng], [to.lat, to.lng]) * 1000;
+  }
+
+  static boxToCircle({ north, south, east, west }) {
+    const center = {
+      lat: (north + south) / 2,
+      lng: east >= west ? (east + west) / 2 : ((east + west + 360) / 2 + 180) % 360 - 180
+    };
+    const radius = Math.max(
+      this.distanceInMeters(center, { lat: north, lng: east }),
+      this.distanceInMeters(center, { lat: south, lng: west })
+    );
+
+    return { center, radius };
+  }
+
+  static withinBox({ lat, lng }, { north, south, east, west }) {
+    if (lat > north || lat < south) return false;
+    return east >= west
+      ? lng >= west && lng <= east
+      : lng >= west || lng <= east;
+  }
+
+  static queryBounds(center, radius) {
+    return geohashQueryBounds([center.lat, center.lng], radius);
+  }
+}
+
+module.exports = FirebaseGeo;
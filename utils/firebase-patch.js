@@ -0,0 +1,115 @@
+const { admin } = require('../config/firebase-admin');
+
+class FirebasePatch {
+  static SERVER_TIMESTAMP = '$serverTimestamp';
+  static DELETE = '$delete';
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+      Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  static isPlaceholder(value, name) {
+    return this.isPlainObject(value) && Object.keys(value).length === 1 && value[name] === true;
+  }
+
+  // RFC 7396 merge patch: nested objects address nested fields, null removes a field
+  static fromMergePatch(patch, prefix = []) {
+    return Object.entries(patch).flatMap(([key, value]) => {
+      const path = [...prefix, key];
+
+      if (value === null || this.isPlaceholder(value, this.DELETE)) {
+        return [{ op: 'remove', path }];
+      }
+      if (this.isPlaceholder(value, this.SERVER_TIMESTAMP)) {
+        return [{ op: 'serverTimestamp', path }];
+      }
+      if (this.isPlainObject(value) && Object.keys(value).length > 0) {
+        return this.fromMergePatch(value, path);
+      }
+
+      return [{ op: 'set', path, value }];
+    });
+  }
+
+  // JSON Patch style operations addressed with RFC 6901 pointers, e.g. "/settings/a.b"
+  static fromOperations(operations) {
+    return operations.map(({ op, path, value }) => {
+      const segments = this.parsePointer(path);
+
+      if (op === 'remove') return { op: 'remove', path: segments };
+      if (op === 'serverTimestamp') return { op: 'serverTimestamp', path: segments };
+      return { op: 'set', path: segments, value };
+    });
+  }
+
+  static parsePointer(pointer) {
+    return pointer
+      .slice(1)
+      .split('/')
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  static findConflict(operations) {
+    const keys = operations.map(({ path }) => path);
+
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = 0; j < keys.length; j++) {
+        if (i === j || keys[i].length > keys[j].length) continue;
+        if (keys[i].every((segment, index) => keys[j][index] === segment)) {
+          return [keys[i], keys[j]];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  static toFieldValue({ op, value }) {
+    if (op === 'remove') return admin.firestore.FieldValue.delete();
+    if (op === 'serverTimestamp') return admin.firestore.FieldValue.serverTimestamp();
+    return value;
+  }
+
+  static toFieldPath({ path }) {
+    return new admin.firestore.FieldPath(...path);
+  }
+
+  static assign(target, path, value) {
+    path.slice(0, -1).forEach(key => {
+      target[key] = this.isPlainObject(target[key]) ? { ...target[key] } : {};
+      target = target[key];
+    });
+
+    const last = path[path.length - 1];
+    if (value === undefined) {
+      delete target[last];
+    } else {
+      target[last] = value;
+    }
+  }
+
+  // Preview of the document after the patch, used for schema validation
+  static apply(data, operations) {
+    const result = { ...data };
+
+    operations.forEach(({ op, path, value }) => {
+      this.assign(result, path, op === 'remove' ? undefined : op === 'serverTimestamp' ? new Date() : value);
+    });
+
+    return result;
+  }
+
+  // Nested write payload with FieldValue sentinels, for set-with-merge upserts
+  static toObject(operations) {
+    const result = {};
+
+    operations.forEach(operation => {
+      this.assign(result, operation.path, this.toFieldValue(operation));
+    });
+
+    return result;
+  }
+}
+
+module.exports = FirebasePatch;
@@ -1,4 +1,5 @@
 const Logger = require('./firebase-logger');
+const FirebaseSerializer = require('./firebase-serializer');
 
 class FirebaseResponse {
   static success(data = null, message = 'Operation successful', timing = null, meta = {}) {
@@ -6,9 +7,9 @@ class FirebaseResponse {
       success: true,
       message,
       timestamp: new Date().toISOString(),
-      ...(data && { data }),
+      ...(data && { data: FirebaseSerializer.serialize(data) }),
       ...(timing && { timing: { duration: timing, unit: 'ms' } }),
-      ...(Object.keys(meta).length > 0 && { meta })
+      ...(Object.keys(meta).length > 0 && { meta: FirebaseSerializer.serialize(meta) })
     };
 
     Logger.debug('Success response created', { 
@@ -153,7 +154,7 @@ class FirebaseResponse {
         failed: failed.length,
         successRate: ((successful.length / results.length) * 100).toFixed(2) + '%'
       },
-      results,
+      results: FirebaseSerializer.serialize(results),
       timestamp: new Date().toISOString()
     };
 
@@ -245,9 +246,9 @@ class ResponseBuilder {
 class FirebaseResponses {
   static document = {
     created: (doc, timing) => FirebaseResponse.success(doc, 'Document created successfully', timing),
-    updated: (doc, timing) => FirebaseResponse.success(doc, 'Document updated successfully', timing),
+    updated: (doc, timing, meta) => FirebaseResponse.success(doc, 'Document updated successfully', timing, meta),
     deleted: (docId, timing) => FirebaseResponse.success({ id: docId, deleted: true }, 'Document deleted successfully', timing),
-    retrieved: (doc, timing) => FirebaseResponse.success(doc, 'Document retrieved successfully', timing),
+    retrieved: (doc, timing, meta) => FirebaseResponse.success(doc, 'Document retrieved successfully', timing, meta),
     notFound: (collection, docId) => FirebaseResponse.notFound('Document', `${collection}/${docId}`)
   };
 
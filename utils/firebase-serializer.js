@@ -0,0 +1,129 @@
+const { admin, getFirestore } = require('../config/firebase-admin');
+
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/;
+
+class FirebaseSerializer {
+  static TAGS = ['$timestamp', '$geopoint', '$ref', '$bytes'];
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+      Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  static timestampToString(timestamp) {
+    const base = new Date(timestamp.seconds * 1000).toISOString().slice(0, 19);
+    return `${base}.${String(timestamp.nanoseconds).padStart(9, '0')}Z`;
+  }
+
+  static invalidArgument(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ARGUMENT';
+    return error;
+  }
+
+  // The Firestore constructors reject out-of-range input with plain errors; that input is the client's to fix
+  static construct(description, build) {
+    try {
+      return build();
+    } catch (error) {
+      throw this.invalidArgument(`Invalid ${description}: ${error.message}`);
+    }
+  }
+
+  static timestampFromString(value) {
+    const match = TIMESTAMP_PATTERN.exec(value);
+    if (!match) {
+      throw this.invalidArgument(`Invalid timestamp '${value}'`);
+    }
+
+    const [, base, fraction = '', zone] = match;
+    const seconds = Math.floor(Date.parse(`${base}${zone}`) / 1000);
+    return this.construct(`timestamp '${value}'`, () => (
+      new admin.firestore.Timestamp(seconds, Number(fraction.padEnd(9, '0')))
+    ));
+  }
+
+  // Response form shared by every Firestore response: plain JSON values clients can use directly
+  static serialize(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+      return value.toDate().toISOString();
+    }
+    if (value instanceof admin.firestore.GeoPoint) {
+      return { lat: value.latitude, lng: value.longitude };
+    }
+    if (value instanceof admin.firestore.DocumentReference) {
+      return value.path;
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return Buffer.from(value).toString('base64');
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.serialize(item));
+    }
+    if (this.isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.serialize(item)]));
+    }
+    return value;
+  }
+
+  // Inverse for request payloads, which carry typed values in the tagged form below
+  static deserialize(value) {
+    return this.decodeTyped(value);
+  }
+
+  // Lossless tagged form, e.g. {"$timestamp": "2024-05-01T10:00:00.123456789Z"}
+  static encodeTyped(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+      return { $timestamp: this.timestampToString(value) };
+    }
+    if (value instanceof admin.firestore.GeoPoint) {
+      return { $geopoint: { lat: value.latitude, lng: value.longitude } };
+    }
+    if (value instanceof admin.firestore.DocumentReference) {
+      return { $ref: value.path };
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return { $bytes: Buffer.from(value).toString('base64') };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.encodeTyped(item));
+    }
+    if (this.isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.encodeTyped(item)]));
+    }
+    return value;
+  }
+
+  static decodeTyped(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.decodeTyped(item));
+    }
+    if (!this.isPlainObject(value)) {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+      const [tag] = keys;
+      const tagged = value[tag];
+
+      if (tag === '$timestamp' && typeof tagged === 'string') {
+        return this.timestampFromString(tagged);
+      }
+      if (tag === '$geopoint' && this.isPlainObject(tagged)) {
+        return this.construct('geopoint', () => new admin.firestore.GeoPoint(tagged.lat, tagged.lng));
+      }
+      if (tag === '$ref' && typeof tagged === 'string') {
+        const db = getFirestore();
+        return this.construct(`reference '${tagged}'`, () => db.doc(tagged));
+      }
+      if (tag === '$bytes' && typeof tagged === 'string') {
+        return Buffer.from(tagged, 'base64');
+      }
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.decodeTyped(item)]));
+  }
+}
+
+module.exports = FirebaseSerializer;
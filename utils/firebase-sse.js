@@ -0,0 +1,82 @@
+const Logger = require('./firebase-logger');
+
+class FirebaseEventStream {
+  constructor(req, res, options = {}) {
+    const { heartbeatMs = 25000, retryMs = 5000, context = {} } = options;
+
+    this.req = req;
+    this.res = res;
+    this.context = context;
+    this.closed = false;
+    this.eventId = 0;
+    this.closeHandlers = [];
+    this.openedAt = Date.now();
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    this.heartbeat = setInterval(() => this.comment('heartbeat'), heartbeatMs);
+
+    req.on('close', () => this.close('client disconnected'));
+
+    Logger.info('Event stream opened', { ...context, heartbeatMs });
+  }
+
+  send(event, data) {
+    if (this.closed) return false;
+
+    this.eventId += 1;
+    const payload = JSON.stringify(data);
+
+    this.res.write(`id: ${this.eventId}\nevent: ${event}\ndata: ${payload}\n\n`);
+    return true;
+  }
+
+  comment(text) {
+    if (this.closed) return false;
+
+    this.res.write(`: ${text} ${new Date().toISOString()}\n\n`);
+    return true;
+  }
+
+  onClose(handler) {
+    this.closeHandlers.push(handler);
+    return this;
+  }
+
+  close(reason = 'server closed') {
+    if (this.closed) return;
+
+    this.closed = true;
+    clearInterval(this.heartbeat);
+
+    this.closeHandlers.forEach(handler => {
+      try {
+        handler(reason);
+      } catch (error) {
+        Logger.failure('eventStreamClose', error, this.context);
+      }
+    });
+
+    if (!this.res.writableEnded) {
+      this.res.end();
+    }
+
+    Logger.info('Event stream closed', {
+      ...this.context,
+      reason,
+      eventsSent: this.eventId,
+      duration: `${Date.now() - this.openedAt}ms`
+    });
+  }
+}
+
+module.exports = {
+  FirebaseEventStream
+};
@@ -0,0 +1,166 @@
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const FirebaseSerializer = require('./firebase-serializer');
+
+const JSON_LIKE = /^(?:[{["]|-?\d|true$|false$|null$)/;
+
+class FirebaseTransfer {
+  static FORMATS = {
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv'
+  };
+
+  static formatFromContentType(contentType = '') {
+    if (/text\/csv/i.test(contentType)) return 'csv';
+    if (/ndjson|jsonl|json-seq/i.test(contentType)) return 'ndjson';
+    return null;
+  }
+
+  static toNdjson(doc) {
+    return `${JSON.stringify({ id: doc.id, data: FirebaseSerializer.encodeTyped(doc.data()) })}\n`;
+  }
+
+  // Strings stay readable; anything that would be misread as another type is JSON-encoded
+  static encodeCell(value) {
+    if (value === undefined) return '';
+    if (typeof value === 'string' && value !== '' && !JSON_LIKE.test(value)) return value;
+    return JSON.stringify(FirebaseSerializer.encodeTyped(value));
+  }
+
+  static decodeCell(cell) {
+    if (cell === '') return undefined;
+    if (!JSON_LIKE.test(cell)) return cell;
+
+    try {
+      return FirebaseSerializer.decodeTyped(JSON.parse(cell));
+    } catch (error) {
+      if (error.code === 'INVALID_ARGUMENT') throw error;
+      return cell;
+    }
+  }
+
+  static toCsvRow(values) {
+    return `${values.map(value => (
+      /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+    )).join(',')}\r\n`;
+  }
+
+  static toCsv(doc, columns) {
+    return this.toCsvRow([doc.id, ...columns.map(column => this.encodeCell(doc.get(column)))]);
+  }
+
+  static async *readNdjson(stream) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let row = 0;
+
+    for await (const line of lines) {
+      row += 1;
+      if (line.trim() === '') continue;
+
+      try {
+        const parsed = JSON.parse(line);
+        if (!FirebaseSerializer.isPlainObject(parsed)) {
+          throw new Error('Each line must be a JSON object');
+        }
+
+        const envelope = FirebaseSerializer.isPlainObject(parsed.data) &&
+          Object.keys(parsed).every(key => key === 'id' || key === 'data');
+        const { id, ...fields } = parsed;
+
+        yield { row, id, data: FirebaseSerializer.decodeTyped(envelope ? parsed.data : fields) };
+      } catch (error) {
+        yield { row, error: error.message };
+      }
+    }
+  }
+
+  static async *readCsvRows(stream) {
+    let field = '';
+    let fields = [];
+    let quoted = false;
+    let pendingQuote = false;
+    const decoder = new StringDecoder('utf8');
+
+    for await (const chunk of stream) {
+      const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        }
+
+        if (quoted) {
+          if (char === '"') {
+            pendingQuote = true;
+          } else {
+            field += char;
+          }
+        } else if (char === '"' && field === '') {
+          quoted = true;
+        } else if (char === ',') {
+          fields.push(field);
+          field = '';
+        } else if (char === '\n') {
+          fields.push(field.replace(/\r$/, ''));
+          yield fields;
+          field = '';
+          fields = [];
+        } else {
+          field += char;
+        }
+      }
+    }
+
+    if (field !== '' || fields.length > 0) {
+      fields.push(field.replace(/\r$/, ''));
+      yield fields;
+    }
+  }
+
+  static async *readCsv(stream) {
+    let header = null;
+    let row = 0;
+
+    for await (const values of this.readCsvRows(stream)) {
+      row += 1;
+
+      if (!header) {
+        header = values.map(value => value.replace(/^\uFEFF/, '').trim());
+        continue;
+      }
+      if (values.length === 1 && values[0] === '') continue;
+
+      try {
+        if (values.length !== header.length) {
+          throw new Error(`Expected ${header.length} columns but found ${values.length}`);
+        }
+
+        const data = {};
+        let id;
+
+        header.forEach((column, index) => {
+          if (column === 'id') {
+            id = values[index] || undefined;
+            return;
+          }
+
+          const value = this.decodeCell(values[index]);
+          if (value !== undefined) data[column] = value;
+        });
+
+        yield { row, id, data };
+      } catch (error) {
+        yield { row, error: error.message };
+      }
+    }
+  }
+}
+
+module.exports = FirebaseTransfer;